@@ -0,0 +1,11 @@
+/**
+ * Future Gadget Expo 2025 - Agenda Time
+ * Time formatting shared by the schedule and its filters
+ */
+
+// "14:30" -> "2:30 PM"; agenda times are wall-clock times at the venue
+export function formatTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(2000, 0, 1, hours, minutes)));
+}
@@ -0,0 +1,67 @@
+/**
+ * Future Gadget Expo 2025 - Entry Point
+ * The one script every page loads: starts the shared UI, then imports only the features the page uses
+ */
+
+import { ThemeToggle } from './theme-toggle.js';
+import { MainApp } from './main.js';
+import { OfflineSupport } from './offline-support.js';
+import { SearchLauncher } from './search-launcher.js';
+
+// Shared with the ticket selector, which writes its copy through the form's message catalog
+let formValidator = null;
+
+// Page features, each fetched as its own chunk when its markup is present
+const features = [
+  {
+    selector: 'form[data-validate]',
+    async load() {
+      const { FormValidator } = await import('./form-validation.js');
+      await import('./form-messages.js');
+      formValidator = new FormValidator();
+    }
+  },
+  {
+    selector: '[data-ticket-form]',
+    async load() {
+      const { TicketSelector } = await import('./ticket-selector.js');
+      new TicketSelector(document, { validator: formValidator });
+    }
+  },
+  {
+    selector: '[data-filter]',
+    async load() {
+      const { CollectionFilter } = await import('./collection-filter.js');
+      document.querySelectorAll('[data-filter]').forEach(root => {
+        new CollectionFilter(root);
+      });
+    }
+  }
+];
+
+async function loadFeatures() {
+  // One at a time, in order: the ticket selector reads fields the wizard restores from its draft
+  for (const feature of features) {
+    if (document.querySelector(feature.selector)) {
+      await feature.load();
+    }
+  }
+}
+
+// Shared by every copy of the entry, so loading it twice binds nothing twice
+const RUNNING = Symbol.for('futuregadgetexpo.app');
+
+if (!window[RUNNING]) {
+  new ThemeToggle();
+  window[RUNNING] = new MainApp();
+  new SearchLauncher({ app: window[RUNNING] });
+
+  // The service worker only exists in production builds
+  if (import.meta.env.PROD) {
+    new OfflineSupport().register();
+  }
+
+  loadFeatures().catch(error => {
+    console.error('Page features could not be loaded', error);
+  });
+}
@@ -0,0 +1,176 @@
+/**
+ * Future Gadget Expo 2025 - Collection Filter
+ * Category and free-text filtering for card grids, with bookmarkable URL state
+ */
+
+import { debounce } from './debounce.js';
+
+export class CollectionFilter {
+  constructor(root) {
+    this.root = root;
+    this.items = Array.from(root.querySelectorAll(root.getAttribute('data-filter-items')));
+    this.buttons = Array.from(root.querySelectorAll('button[data-category]'));
+    this.search = root.querySelector('[data-filter-search]');
+    this.matchControl = root.querySelector('[data-filter-match]');
+    this.countElement = root.querySelector('[data-filter-count]');
+    this.emptyElement = root.querySelector('[data-filter-empty]');
+    this.noun = root.getAttribute('data-filter-noun') || 'items';
+
+    this.state = { categories: [], match: 'any', query: '' };
+    this.init();
+  }
+
+  init() {
+    if (this.items.length === 0) return;
+
+    // Index searchable text once; cards don't change after load
+    this.index = new Map(this.items.map(item => [item, {
+      categories: (item.getAttribute('data-category') || '').split(/\s+/).filter(Boolean),
+      text: CollectionFilter.normalize(item.textContent)
+    }]));
+
+    this.readLocation();
+    this.setupEventListeners();
+    this.apply({ updateLocation: false });
+  }
+
+  setupEventListeners() {
+    this.buttons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.toggleCategory(button.getAttribute('data-category'));
+      });
+    });
+
+    this.search?.addEventListener('input', debounce(() => {
+      this.state.query = this.search.value.trim();
+      this.apply();
+    }, 200));
+
+    this.matchControl?.addEventListener('change', () => {
+      this.state.match = this.matchControl.value === 'all' ? 'all' : 'any';
+      this.apply();
+    });
+
+    this.root.querySelectorAll('[data-filter-reset]').forEach(button => {
+      button.addEventListener('click', () => this.reset());
+    });
+  }
+
+  toggleCategory(category) {
+    const { categories } = this.state;
+
+    if (category === 'all') {
+      this.state.categories = [];
+    } else if (categories.includes(category)) {
+      this.state.categories = categories.filter(selected => selected !== category);
+    } else {
+      this.state.categories = [...categories, category];
+    }
+
+    this.apply();
+  }
+
+  reset() {
+    this.state = { categories: [], match: this.state.match, query: '' };
+    if (this.search) this.search.value = '';
+    this.apply();
+  }
+
+  matches(item) {
+    const { categories, text } = this.index.get(item);
+    const selected = this.state.categories;
+
+    const categoryMatch = selected.length === 0 || (this.state.match === 'all'
+      ? selected.every(category => categories.includes(category))
+      : selected.some(category => categories.includes(category)));
+
+    const terms = CollectionFilter.normalize(this.state.query).split(/\s+/).filter(Boolean);
+    return categoryMatch && terms.every(term => text.includes(term));
+  }
+
+  apply({ updateLocation = true } = {}) {
+    let visibleCount = 0;
+
+    this.items.forEach(item => {
+      const isMatch = this.matches(item);
+      if (isMatch && item.hidden) {
+        item.classList.add('fade-in');
+      }
+      item.hidden = !isMatch;
+      if (isMatch) visibleCount += 1;
+    });
+
+    this.renderControls(visibleCount);
+    if (updateLocation) this.writeLocation();
+
+    this.root.dispatchEvent(new CustomEvent('filterchange', {
+      bubbles: true,
+      detail: { ...this.state, visibleCount, total: this.items.length }
+    }));
+  }
+
+  renderControls(visibleCount) {
+    const selected = this.state.categories;
+
+    this.buttons.forEach(button => {
+      const category = button.getAttribute('data-category');
+      const isActive = category === 'all' ? selected.length === 0 : selected.includes(category);
+
+      button.classList.toggle('btn--primary', isActive);
+      button.classList.toggle('btn--secondary', !isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+
+    if (this.matchControl) this.matchControl.value = this.state.match;
+
+    if (this.countElement) {
+      this.countElement.textContent = visibleCount === this.items.length
+        ? `Showing all ${this.items.length} ${this.noun}`
+        : `Showing ${visibleCount} of ${this.items.length} ${this.noun}`;
+    }
+
+    if (this.emptyElement) {
+      this.emptyElement.hidden = visibleCount > 0;
+    }
+  }
+
+  readLocation() {
+    const params = new URLSearchParams(location.search);
+    const known = new Set(this.buttons.map(button => button.getAttribute('data-category')));
+
+    this.state.categories = params.getAll('category')
+      .filter(category => known.has(category) && category !== 'all');
+    this.state.match = params.get('match') === 'all' ? 'all' : 'any';
+    this.state.query = params.get('q') || '';
+
+    if (this.search) this.search.value = this.state.query;
+  }
+
+  // replaceState rather than pushState so filtering doesn't flood the Back button
+  writeLocation() {
+    const url = new URL(location.href);
+    const { categories, match, query } = this.state;
+
+    const setParam = (name, value) => {
+      if (value) {
+        url.searchParams.set(name, value);
+      } else {
+        url.searchParams.delete(name);
+      }
+    };
+
+    url.searchParams.delete('category');
+    categories.forEach(category => url.searchParams.append('category', category));
+    setParam('match', match === 'all' ? 'all' : '');
+    setParam('q', query);
+
+    if (url.href !== location.href) {
+      history.replaceState(history.state, '', url);
+    }
+  }
+
+  // Case- and accent-insensitive matching
+  static normalize(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ');
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Future Gadget Expo 2025 - Component Registry
+ * Maps data-component names to classes with mount/unmount and keeps them in step with the DOM
+ */
+
+// Instances live on the element under a global symbol, so a second copy of this
+// module (e.g. the entry script loaded twice) sees them and never binds again
+const MOUNTED = Symbol.for('futuregadgetexpo.components');
+
+export class ComponentRegistry {
+  /**
+   * @param {Element} root - subtree to scan and observe
+   * @param {Object} options - passed to every component constructor as its second argument
+   */
+  constructor(root = document.documentElement, options = {}) {
+    this.root = root;
+    this.options = options;
+    this.definitions = new Map();
+    this.mounted = new Set();
+    this.observer = null;
+  }
+
+  /**
+   * Registers a component class, or a function returning a promise of one for
+   * components that should be loaded on demand. Classes are instantiated with
+   * (element, options) and must implement mount() and unmount().
+   */
+  define(name, definition) {
+    this.definitions.set(name, definition);
+
+    // Pick up matching markup that is already on the page
+    if (this.observer) {
+      this.scan();
+    }
+  }
+
+  start() {
+    if (this.observer) return;
+
+    this.scan();
+    this.observer = new MutationObserver(records => this.onMutations(records));
+    this.observer.observe(this.root, { childList: true, subtree: true });
+  }
+
+  onMutations(records) {
+    records.forEach(record => {
+      record.removedNodes.forEach(node => {
+        // Moved nodes are removed and re-added in the same batch; leave those mounted
+        if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+          this.teardown(node);
+        }
+      });
+
+      record.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+          this.scan(node);
+        }
+      });
+    });
+  }
+
+  getElements(root) {
+    const elements = Array.from(root.querySelectorAll('[data-component]'));
+    if (root.matches?.('[data-component]')) {
+      elements.unshift(root);
+    }
+    return elements;
+  }
+
+  getNames(element) {
+    return (element.getAttribute('data-component') || '').split(/\s+/).filter(Boolean);
+  }
+
+  // Mounts everything under root synchronously; safe to call repeatedly
+  scan(root = this.root) {
+    this.getElements(root).forEach(element => this.mount(element));
+  }
+
+  teardown(root) {
+    this.getElements(root).forEach(element => this.unmount(element));
+  }
+
+  mount(element) {
+    const instances = element[MOUNTED] || (element[MOUNTED] = new Map());
+
+    this.getNames(element).forEach(name => {
+      const definition = this.definitions.get(name);
+      if (!definition || instances.has(name)) return;
+
+      this.mounted.add(element);
+
+      if (typeof definition.prototype?.mount === 'function') {
+        this.create(element, name, definition);
+        return;
+      }
+
+      // Reserve the slot while the module loads so nothing mounts it twice
+      const pending = { pending: true };
+      instances.set(name, pending);
+
+      definition()
+        .then(Component => {
+          // Skip if it was unmounted (or the registry destroyed) while loading
+          if (element[MOUNTED] === instances && instances.get(name) === pending && element.isConnected) {
+            this.create(element, name, Component);
+          }
+        })
+        .catch(error => {
+          console.error(`Component "${name}" could not be loaded`, error);
+          if (instances.get(name) === pending) {
+            instances.delete(name);
+          }
+        });
+    });
+  }
+
+  create(element, name, Component) {
+    const instances = element[MOUNTED];
+
+    try {
+      const component = new Component(element, this.options);
+      instances.set(name, component);
+      component.mount();
+    } catch (error) {
+      console.error(`Component "${name}" failed to mount`, error);
+      instances.delete(name);
+    }
+  }
+
+  unmount(element) {
+    const instances = element[MOUNTED];
+    if (!instances) return;
+
+    delete element[MOUNTED];
+    this.mounted.delete(element);
+
+    instances.forEach((component, name) => {
+      if (component.pending) return;
+
+      try {
+        component.unmount();
+      } catch (error) {
+        console.error(`Component "${name}" failed to unmount`, error);
+      }
+    });
+  }
+
+  get(element, name) {
+    const component = element?.[MOUNTED]?.get(name);
+    return component && !component.pending ? component : null;
+  }
+
+  destroy() {
+    this.observer?.disconnect();
+    this.observer = null;
+
+    this.mounted.forEach(element => this.unmount(element));
+    this.mounted.clear();
+  }
+}
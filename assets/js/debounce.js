@@ -0,0 +1,13 @@
+/**
+ * Future Gadget Expo 2025 - Debounce
+ * Shared by the collection search, live field validation and wizard drafts
+ */
+
+// Runs func once calls have paused for wait ms, with the latest arguments
+export function debounce(func, wait) {
+  let timeout;
+  return (...args) => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => func(...args), wait);
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Future Gadget Expo 2025 - Expandable
+ * Expand/collapse component (data-component="expandable") for cards with an .expand-btn and [data-expand-details]
+ */
+
+export class Expandable {
+  constructor(element) {
+    this.element = element;
+    this.button = element.querySelector('.expand-btn');
+    this.details = element.querySelector('[data-expand-details]');
+    this.listeners = null;
+  }
+
+  mount() {
+    if (!this.button || !this.details) return;
+
+    this.listeners = new AbortController();
+    Expandable.count += 1;
+    this.details.id = this.details.id || `expand-details-${Expandable.count}`;
+    this.button.setAttribute('aria-controls', this.details.id);
+    this.setExpanded(false);
+
+    this.button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggle();
+    }, { signal: this.listeners.signal });
+  }
+
+  unmount() {
+    this.listeners?.abort();
+    this.listeners = null;
+  }
+
+  get isExpanded() {
+    return this.button.getAttribute('aria-expanded') === 'true';
+  }
+
+  toggle() {
+    this.setExpanded(!this.isExpanded);
+  }
+
+  setExpanded(isExpanded) {
+    this.details.hidden = !isExpanded;
+    this.button.setAttribute('aria-expanded', String(isExpanded));
+    this.button.textContent = isExpanded ? 'Hide Details' : 'Expand Details';
+  }
+}
+
+Expandable.count = 0;
@@ -0,0 +1,168 @@
+/**
+ * Future Gadget Expo 2025 - Form Messages
+ * Translations for the FormValidator message catalog (English lives in form-validation.js)
+ */
+
+import { FormValidator } from './form-validation.js';
+
+FormValidator.addMessages('es', {
+  thisField: 'Este campo',
+  required: '{field} es obligatorio',
+  'required-if': '{field} es obligatorio',
+  'required-unless': '{field} es obligatorio',
+  email: 'Introduce una dirección de correo electrónico válida',
+  minlength: 'Se requieren al menos {value} caracteres',
+  maxlength: 'Se permiten como máximo {value} caracteres',
+  min: 'Debe ser {value} o más',
+  max: 'Debe ser {value} o menos',
+  pattern: 'Ajusta el valor al formato solicitado',
+  phone: 'Introduce un número de teléfono válido',
+  url: 'Introduce una URL válida, incluido https://',
+  number: 'Introduce un número válido',
+  match: 'Debe coincidir con {other}',
+  remote: 'Este valor no está disponible',
+  invalid: 'Introduce un valor válido',
+  success: '✓ Correcto',
+  submit: 'Enviar',
+  submitting: 'Enviando...',
+  close: 'Cerrar',
+  successTitle: '¡Enviado!',
+  successMessage: 'Tu formulario se ha enviado correctamente. ¡Te responderemos pronto!',
+  errorTitle: 'No se pudo enviar',
+  serverError: 'Algo salió mal en nuestro servidor (error {status}). Inténtalo de nuevo.',
+  timeout: 'El servidor tardó demasiado en responder. Inténtalo de nuevo.',
+  network: 'No pudimos conectar con el servidor. Comprueba tu conexión e inténtalo de nuevo.',
+  queuedTitle: 'Guardado sin conexión',
+  queuedMessage: 'No tienes conexión, así que guardamos tu envío en este dispositivo. Se enviará automáticamente cuando vuelvas a estar en línea.',
+  queuedDuplicate: 'Este envío ya está en cola y se enviará una sola vez cuando vuelvas a estar en línea.',
+  queueSaveFailed: 'Parece que no tienes conexión y no pudimos guardar tu envío en este dispositivo. Inténtalo de nuevo cuando vuelvas a estar en línea.',
+  queueRejected: 'Se rechazó un envío guardado sin conexión (error {status}). Vuelve a enviarlo.',
+  queueRestore: 'Recuperar respuestas guardadas',
+  queueStatus_one: '{count} envío en cola; se enviará cuando vuelvas a estar en línea.',
+  queueStatus_other: '{count} envíos en cola; se enviarán cuando vuelvas a estar en línea.',
+  wizardBack: 'Atrás',
+  wizardNext: 'Siguiente',
+  wizardProgressLabel: 'Progreso del formulario',
+  wizardProgress: 'Paso {current} de {total}: {title}',
+  'email.remote': 'Esta dirección de correo electrónico ya está registrada',
+  'confirmEmail.match': 'Las direcciones de correo electrónico no coinciden',
+  'accessibility.required-if': 'Describe las adaptaciones que necesitas',
+  'terms.required': 'Acepta los Términos y Condiciones para continuar',
+  ticketSubmit: 'Completar registro - {total}',
+  ticketLine: '{quantity} × {price}',
+  ticketLineEarlyBird: '{quantity} × {price} (precio anticipado)',
+  ticketGroupDiscount: 'Descuento de grupo ({percent} %)',
+  ticketPromo: 'Promoción {code}',
+  promoApplied: '{code} aplicado',
+  promoAppliedLabel: '{code} aplicado: {label}',
+  promoNotApplicable: '{code} no se puede usar con esta selección',
+  promoInvalid: '{code} no es un código válido'
+});
+
+FormValidator.addMessages('fr', {
+  thisField: 'Ce champ',
+  required: '{field} est obligatoire',
+  'required-if': '{field} est obligatoire',
+  'required-unless': '{field} est obligatoire',
+  email: 'Veuillez saisir une adresse e-mail valide',
+  minlength: '{value} caractères minimum requis',
+  maxlength: '{value} caractères maximum autorisés',
+  min: 'Doit être supérieur ou égal à {value}',
+  max: 'Doit être inférieur ou égal à {value}',
+  pattern: 'Veuillez respecter le format demandé',
+  phone: 'Veuillez saisir un numéro de téléphone valide',
+  url: 'Veuillez saisir une URL valide, avec https://',
+  number: 'Veuillez saisir un nombre valide',
+  match: 'Doit correspondre à {other}',
+  remote: "Cette valeur n'est pas disponible",
+  invalid: 'Veuillez saisir une valeur valide',
+  success: '✓ Parfait',
+  submit: 'Envoyer',
+  submitting: 'Envoi en cours...',
+  close: 'Fermer',
+  successTitle: 'Envoyé !',
+  successMessage: 'Votre formulaire a bien été envoyé. Nous vous répondrons très vite !',
+  errorTitle: "Échec de l'envoi",
+  serverError: 'Un problème est survenu de notre côté (erreur {status}). Veuillez réessayer.',
+  timeout: 'Le serveur a mis trop de temps à répondre. Veuillez réessayer.',
+  network: "Impossible de joindre le serveur. Vérifiez votre connexion et réessayez.",
+  queuedTitle: 'Enregistré hors ligne',
+  queuedMessage: 'Vous êtes hors ligne : votre envoi est enregistré sur cet appareil et partira automatiquement dès votre retour en ligne.',
+  queuedDuplicate: 'Cet envoi est déjà en attente et ne sera envoyé qu’une fois, dès votre retour en ligne.',
+  queueSaveFailed: "Vous semblez hors ligne et votre envoi n'a pas pu être enregistré sur cet appareil. Réessayez une fois de retour en ligne.",
+  queueRejected: 'Un envoi enregistré hors ligne a été refusé (erreur {status}). Veuillez le renvoyer.',
+  queueRestore: 'Restaurer les réponses enregistrées',
+  queueStatus_one: '{count} envoi en attente, il partira dès votre retour en ligne.',
+  queueStatus_other: '{count} envois en attente, ils partiront dès votre retour en ligne.',
+  wizardBack: 'Retour',
+  wizardNext: 'Suivant',
+  wizardProgressLabel: 'Progression du formulaire',
+  wizardProgress: 'Étape {current} sur {total} : {title}',
+  'email.remote': 'Cette adresse e-mail est déjà enregistrée',
+  'confirmEmail.match': 'Les adresses e-mail ne correspondent pas',
+  'accessibility.required-if': "Veuillez décrire les aménagements dont vous avez besoin",
+  'terms.required': 'Veuillez accepter les conditions générales pour continuer',
+  ticketSubmit: "Finaliser l'inscription - {total}",
+  ticketLine: '{quantity} × {price}',
+  ticketLineEarlyBird: '{quantity} × {price} (tarif early bird)',
+  ticketGroupDiscount: 'Remise de groupe ({percent} %)',
+  ticketPromo: 'Code promo {code}',
+  promoApplied: '{code} appliqué',
+  promoAppliedLabel: '{code} appliqué : {label}',
+  promoNotApplicable: "{code} ne peut pas être utilisé avec cette sélection",
+  promoInvalid: "{code} n'est pas un code valide"
+});
+
+FormValidator.addMessages('de', {
+  thisField: 'Dieses Feld',
+  required: '{field} ist erforderlich',
+  'required-if': '{field} ist erforderlich',
+  'required-unless': '{field} ist erforderlich',
+  email: 'Bitte gib eine gültige E-Mail-Adresse ein',
+  minlength: 'Mindestens {value} Zeichen erforderlich',
+  maxlength: 'Höchstens {value} Zeichen erlaubt',
+  min: 'Muss mindestens {value} sein',
+  max: 'Darf höchstens {value} sein',
+  pattern: 'Bitte halte dich an das geforderte Format',
+  phone: 'Bitte gib eine gültige Telefonnummer ein',
+  url: 'Bitte gib eine gültige URL inklusive https:// ein',
+  number: 'Bitte gib eine gültige Zahl ein',
+  match: 'Muss mit {other} übereinstimmen',
+  remote: 'Dieser Wert ist nicht verfügbar',
+  invalid: 'Bitte gib einen gültigen Wert ein',
+  success: '✓ Passt',
+  submit: 'Absenden',
+  submitting: 'Wird gesendet...',
+  close: 'Schließen',
+  successTitle: 'Gesendet!',
+  successMessage: 'Dein Formular wurde erfolgreich gesendet. Wir melden uns bald!',
+  errorTitle: 'Senden fehlgeschlagen',
+  serverError: 'Bei uns ist etwas schiefgelaufen (Fehler {status}). Bitte versuche es erneut.',
+  timeout: 'Der Server hat zu lange gebraucht. Bitte versuche es erneut.',
+  network: 'Der Server ist nicht erreichbar. Bitte prüfe deine Verbindung und versuche es erneut.',
+  queuedTitle: 'Offline gespeichert',
+  queuedMessage: 'Du bist offline, deshalb haben wir deine Eingaben auf diesem Gerät gespeichert. Sie werden automatisch gesendet, sobald du wieder online bist.',
+  queuedDuplicate: 'Diese Eingaben warten bereits und werden einmalig gesendet, sobald du wieder online bist.',
+  queueSaveFailed: 'Du scheinst offline zu sein, und deine Eingaben konnten nicht auf diesem Gerät gespeichert werden. Bitte versuche es erneut, sobald du wieder online bist.',
+  queueRejected: 'Offline gespeicherte Eingaben wurden abgelehnt (Fehler {status}). Bitte sende sie erneut.',
+  queueRestore: 'Gespeicherte Angaben wiederherstellen',
+  queueStatus_one: '{count} Sendung wartet und wird gesendet, sobald du wieder online bist.',
+  queueStatus_other: '{count} Sendungen warten und werden gesendet, sobald du wieder online bist.',
+  wizardBack: 'Zurück',
+  wizardNext: 'Weiter',
+  wizardProgressLabel: 'Formularfortschritt',
+  wizardProgress: 'Schritt {current} von {total}: {title}',
+  'email.remote': 'Diese E-Mail-Adresse ist bereits registriert',
+  'confirmEmail.match': 'Die E-Mail-Adressen stimmen nicht überein',
+  'accessibility.required-if': 'Bitte beschreibe, welche Unterstützung du benötigst',
+  'terms.required': 'Bitte akzeptiere die Allgemeinen Geschäftsbedingungen, um fortzufahren',
+  ticketSubmit: 'Registrierung abschließen - {total}',
+  ticketLine: '{quantity} × {price}',
+  ticketLineEarlyBird: '{quantity} × {price} (Frühbucherpreis)',
+  ticketGroupDiscount: 'Gruppenrabatt ({percent} %)',
+  ticketPromo: 'Aktionscode {code}',
+  promoApplied: '{code} angewendet',
+  promoAppliedLabel: '{code} angewendet – {label}',
+  promoNotApplicable: '{code} gilt nicht für diese Auswahl',
+  promoInvalid: '{code} ist kein gültiger Code'
+});
@@ -3,14 +3,108 @@
  * Handles client-side form validation for register and contact forms
  */
 
-class FormValidator {
-  constructor() {
+import { ModalManager } from './modal-manager.js';
+import { SubmissionQueue } from './submission-queue.js';
+import { FormWizard } from './form-wizard.js';
+import { debounce } from './debounce.js';
+
+export class FormValidator {
+  constructor(options = {}) {
     this.forms = [];
-    this.init();
+    this.queue = new SubmissionQueue();
+    this.formMessages = new WeakMap();
+    this.locale = options.locale || document.documentElement.lang || 'en';
+    this.init(options);
   }
 
-  init() {
+  init(options) {
     this.setupFormValidation();
+    this.setupOfflineQueue();
+
+    // Follow <html lang> unless a locale was chosen explicitly
+    if (!options.locale) {
+      this.observeDocumentLocale();
+    }
+  }
+
+  observeDocumentLocale() {
+    const observer = new MutationObserver(() => {
+      const lang = document.documentElement.lang || 'en';
+      if (lang !== this.locale) {
+        this.setLocale(lang);
+      }
+    });
+
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['lang'] });
+  }
+
+  setLocale(locale) {
+    this.locale = locale;
+
+    // Re-render everything already on screen in the new language
+    this.forms.forEach(formData => {
+      formData.fields.forEach(fieldData => {
+        const { element, errorRule, errorElement, successElement } = fieldData;
+
+        if (errorRule) {
+          errorElement.textContent = this.getRuleMessage(errorRule, element);
+        }
+        if (fieldData.hasGeneratedSuccessText) {
+          successElement.textContent = this.t('success', {}, formData.element);
+        }
+      });
+
+      this.updateQueueStatus(formData);
+      formData.wizard?.updateLabels();
+
+      // For other widgets that write form copy, such as the ticket selector
+      formData.element.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+    });
+  }
+
+  // Locales to try, most specific first: 'pt-BR' -> ['pt-br', 'pt', 'en']
+  getLocaleChain() {
+    const locale = this.locale.toLowerCase();
+    const chain = [locale, locale.split('-')[0], 'en'];
+    return chain.filter((item, index) => chain.indexOf(item) === index);
+  }
+
+  // Per-form overrides: data-messages='{"es": {"successTitle": "¡Listo!"}}'
+  getFormMessages(form) {
+    if (!form) return {};
+
+    if (!this.formMessages.has(form)) {
+      let messages = {};
+      try {
+        messages = JSON.parse(form.getAttribute('data-messages') || '{}');
+      } catch (error) {
+        console.warn(`Invalid data-messages on #${form.id}`, error);
+      }
+      this.formMessages.set(form, messages);
+    }
+
+    return this.formMessages.get(form);
+  }
+
+  t(key, params = {}, form = null) {
+    const overrides = this.getFormMessages(form);
+
+    for (const locale of this.getLocaleChain()) {
+      const message = overrides[locale]?.[key] ?? FormValidator.messages[locale]?.[key];
+      if (message !== undefined) {
+        return FormValidator.format(message, params);
+      }
+    }
+
+    return key;
+  }
+
+  // Picks key_one, key_few, ... by the locale's plural rules, falling back to key_other
+  plural(key, count, form) {
+    const pluralKey = `${key}_${new Intl.PluralRules(this.locale).select(count)}`;
+    const message = this.t(pluralKey, { count }, form);
+
+    return message === pluralKey ? this.t(`${key}_other`, { count }, form) : message;
   }
 
   setupFormValidation() {
@@ -25,21 +119,40 @@ class FormValidator {
     const formData = {
       element: form,
       fields: new Map(),
-      isValid: false
+      isValid: false,
+      offlineQueue: form.hasAttribute('data-offline-queue'),
+      // Whether the visitor has typed since the form was loaded or last reset
+      isDirty: false,
+      statusElement: null,
+      dependents: new Map(),
+      wizard: null
     };
 
-    // Initialize form fields
-    const inputs = form.querySelectorAll('input, textarea, select');
+    // Initialize form fields; hidden inputs carry computed values, not user input
+    const inputs = form.querySelectorAll('input:not([type="hidden"]), textarea, select');
     inputs.forEach(input => {
       this.initializeField(formData, input);
     });
 
+    // Cross-field rules: re-check dependents whenever a field they rely on changes
+    formData.dependents = this.buildDependencyMap(formData);
+    form.addEventListener('input', (e) => {
+      formData.isDirty = true;
+      this.revalidateDependents(formData, e.target.name || e.target.id);
+    });
+    formData.fields.forEach(fieldData => this.updateRequiredState(fieldData));
+
     // Handle form submission
     form.addEventListener('submit', (e) => {
       e.preventDefault();
       this.handleSubmit(formData);
     });
 
+    // Multi-step mode for forms split into <fieldset data-step> groups
+    if (form.hasAttribute('data-wizard')) {
+      formData.wizard = new FormWizard(formData, this);
+    }
+
     this.forms.push(formData);
   }
 
@@ -47,18 +160,25 @@ class FormValidator {
     const fieldData = {
       element: input,
       isValid: false,
+      isTouched: false,
+      pendingController: null,
+      validation: null,
       rules: this.getValidationRules(input),
+      dependsOn: (input.getAttribute('data-depends-on') || '').split(/\s+/).filter(Boolean),
       errorElement: this.createErrorElement(input),
-      successElement: this.createSuccessElement(input)
+      successElement: this.createSuccessElement(input),
+      errorRule: null
     };
 
+    fieldData.hasGeneratedSuccessText = fieldData.successElement.textContent !== '';
+
     // Add event listeners
     input.addEventListener('blur', () => this.validateField(fieldData));
     input.addEventListener('input', () => this.clearFieldState(fieldData));
     
     // Real-time validation for better UX
     if (input.type === 'email') {
-      input.addEventListener('input', this.debounce(() => this.validateField(fieldData), 500));
+      input.addEventListener('input', debounce(() => this.validateField(fieldData), 500));
     }
 
     formData.fields.set(input.name || input.id, fieldData);
@@ -66,60 +186,91 @@ class FormValidator {
 
   getValidationRules(input) {
     const rules = [];
+    const addRule = (type, value) => {
+      const definition = FormValidator.rules.get(type);
+      if (!definition) {
+        console.warn(`Unknown validation rule "${type}"`);
+      }
 
-    // Required field
-    if (input.hasAttribute('required')) {
       rules.push({
-        type: 'required',
-        message: this.getRequiredMessage(input)
+        type,
+        value,
+        // Author-provided copy wins over the catalog, e.g. data-pattern-message
+        message: input.getAttribute(`data-${type}-message`) || undefined,
+        dependsOn: definition?.dependsOn ? definition.dependsOn(value) : []
       });
-    }
+    };
 
-    // Email validation
-    if (input.type === 'email') {
-      rules.push({
-        type: 'email',
-        message: 'Please enter a valid email address'
-      });
+    // Required field
+    if (input.hasAttribute('required')) {
+      addRule('required');
     }
 
-    // Minimum length
-    if (input.hasAttribute('minlength')) {
-      rules.push({
-        type: 'minlength',
-        value: parseInt(input.getAttribute('minlength')),
-        message: `Minimum ${input.getAttribute('minlength')} characters required`
-      });
+    // Rules implied by the input type
+    const typeRule = FormValidator.typeRules[input.type];
+    if (typeRule) {
+      addRule(typeRule);
     }
 
+    // Constraint attributes
+    ['minlength', 'maxlength', 'min', 'max'].forEach(attribute => {
+      if (input.hasAttribute(attribute)) {
+        addRule(attribute, input.getAttribute(attribute));
+      }
+    });
+
     // Pattern validation
     if (input.hasAttribute('pattern')) {
-      rules.push({
-        type: 'pattern',
-        value: new RegExp(input.getAttribute('pattern')),
-        message: input.getAttribute('data-pattern-message') || 'Please match the requested format'
-      });
+      addRule('pattern', new RegExp(input.getAttribute('pattern')));
     }
 
-    // Custom validation rules based on name/id
-    const fieldName = input.name || input.id;
-    if (fieldName === 'phone') {
-      rules.push({
-        type: 'phone',
-        message: 'Please enter a valid phone number'
-      });
-    }
+    // Declarative rules, e.g. data-rule="match:email; required-if:industry=other"
+    this.parseRuleAttribute(input.getAttribute('data-rule')).forEach(([type, value]) => {
+      addRule(type, value);
+    });
 
     return rules;
   }
 
+  parseRuleAttribute(attribute) {
+    if (!attribute) return [];
+
+    return attribute.split(';')
+      .map(rule => rule.trim())
+      .filter(Boolean)
+      .map(rule => {
+        // Only split on the first colon so parameters such as URLs stay intact
+        const separator = rule.indexOf(':');
+        return separator === -1
+          ? [rule, undefined]
+          : [rule.slice(0, separator).trim(), rule.slice(separator + 1).trim()];
+      });
+  }
+
+  getRuleMessage(rule, input) {
+    if (rule.message) return rule.message;
+
+    const form = input?.form || null;
+
+    // The field a cross-field rule refers to, for messages such as "Must match {other}"
+    const otherName = rule.dependsOn?.[0];
+    const other = otherName ? form?.elements.namedItem(otherName) : null;
+
+    const params = {
+      field: (input && FormValidator.getFieldLabel(input)) || this.t('thisField', {}, form),
+      value: rule.value instanceof RegExp ? rule.value.source : rule.value,
+      other: other?.labels ? FormValidator.getFieldLabel(other) : otherName
+    };
+
+    // Copy for one field, e.g. "terms.required", before the rule's generic message
+    const fieldKey = input?.name ? `${input.name}.${rule.type}` : null;
+    const fieldMessage = fieldKey ? this.t(fieldKey, params, form) : fieldKey;
+
+    return fieldMessage !== fieldKey ? fieldMessage : this.t(rule.type, params, form);
+  }
+
   getRequiredMessage(input) {
-    const fieldName = input.getAttribute('data-field-name') || 
-                     input.labels?.[0]?.textContent?.replace('*', '').trim() || 
-                     input.placeholder || 
-                     'This field';
-    
-    return `${fieldName} is required`;
+    return this.getRuleMessage({ type: 'required' }, input);
   }
 
   createErrorElement(input) {
@@ -138,23 +289,127 @@ class FormValidator {
 
     const successElement = document.createElement('div');
     successElement.className = 'form__success';
-    successElement.textContent = '✓ Looks good';
+    successElement.textContent = this.t('success', {}, input.form);
     input.parentNode.appendChild(successElement);
     return successElement;
   }
 
+  buildDependencyMap(formData) {
+    const dependents = new Map();
+
+    formData.fields.forEach(fieldData => {
+      const sources = fieldData.rules.flatMap(rule => rule.dependsOn).concat(fieldData.dependsOn);
+
+      sources.forEach(source => {
+        if (!dependents.has(source)) {
+          dependents.set(source, new Set());
+        }
+        dependents.get(source).add(fieldData);
+      });
+    });
+
+    return dependents;
+  }
+
+  revalidateDependents(formData, sourceName) {
+    const dependents = formData.dependents.get(sourceName);
+    if (!dependents) return;
+
+    dependents.forEach(fieldData => {
+      this.updateRequiredState(fieldData);
+
+      // Don't flag fields the visitor hasn't reached yet
+      if (fieldData.isTouched) {
+        this.validateField(fieldData);
+      }
+    });
+  }
+
+  // Keeps the required marker in sync for conditionally required fields
+  updateRequiredState(fieldData) {
+    const { element, rules } = fieldData;
+    const conditions = rules.filter(rule => FormValidator.rules.get(rule.type)?.isRequired);
+    if (conditions.length === 0) return;
+
+    const context = this.createRuleContext(element);
+    const isRequired = conditions.some(rule => {
+      return FormValidator.rules.get(rule.type).isRequired(rule.value, context);
+    });
+
+    element.setAttribute('aria-required', String(isRequired));
+    element.labels?.[0]?.classList.toggle('form__label--required', isRequired);
+  }
+
+  // Fields before the fields that depend on them, so sources settle first
+  getValidationOrder(formData) {
+    const ordered = new Set();
+    const visit = (fieldData, path = new Set()) => {
+      if (ordered.has(fieldData) || path.has(fieldData)) return;
+      path.add(fieldData);
+
+      fieldData.rules.flatMap(rule => rule.dependsOn).concat(fieldData.dependsOn).forEach(source => {
+        const sourceField = formData.fields.get(source);
+        if (sourceField) visit(sourceField, path);
+      });
+
+      ordered.add(fieldData);
+    };
+
+    formData.fields.forEach(fieldData => visit(fieldData));
+    return Array.from(ordered);
+  }
+
+  createRuleContext(element, signal) {
+    return {
+      element,
+      form: element.form,
+      signal,
+      getValue: name => this.getFieldValue(element.form?.elements.namedItem(name))
+    };
+  }
+
+  getFieldValue(element) {
+    if (!element) return '';
+
+    // Checkbox groups sharing a name
+    if (element instanceof RadioNodeList) {
+      return Array.from(element)
+        .filter(item => item.checked)
+        .map(item => item.value)
+        .join(',');
+    }
+
+    if (element.type === 'checkbox' || element.type === 'radio') {
+      return element.checked ? element.value : '';
+    }
+
+    return element.value.trim();
+  }
+
   validateField(fieldData) {
-    const { element, rules, errorElement, successElement } = fieldData;
-    const value = element.value.trim();
+    const { element, rules } = fieldData;
+    const value = this.getFieldValue(element);
 
-    // Clear previous state
+    // Clear previous state, cancelling any check still in flight
     this.clearFieldState(fieldData);
 
+    const controller = new AbortController();
+    fieldData.pendingController = controller;
+    fieldData.isTouched = true;
+
+    const context = this.createRuleContext(element, controller.signal);
+
     // Run validation rules
-    for (const rule of rules) {
-      const result = this.runValidationRule(rule, value);
+    for (let i = 0; i < rules.length; i++) {
+      const result = this.runValidationRule(rules[i], value, context);
+
+      if (typeof result.then === 'function') {
+        fieldData.validation = this.finishAsyncValidation(fieldData, result, rules.slice(i + 1), value, context);
+        return fieldData.validation;
+      }
+
       if (!result.isValid) {
-        this.setFieldError(fieldData, result.message);
+        this.setFieldError(fieldData, result.message, result.rule);
         return false;
       }
     }
@@ -164,60 +419,91 @@ class FormValidator {
     return true;
   }
 
-  runValidationRule(rule, value) {
-    switch (rule.type) {
-      case 'required':
-        return {
-          isValid: value.length > 0,
-          message: rule.message
-        };
+  async finishAsyncValidation(fieldData, pendingResult, remainingRules, value, context) {
+    this.setFieldPending(fieldData);
+
+    // A check that fails to run (e.g. network error) must not block the visitor;
+    // the server validates again on submit
+    const settle = result => Promise.resolve(result).catch(() => ({ isValid: true }));
 
-      case 'email':
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return {
-          isValid: !value || emailRegex.test(value),
-          message: rule.message
-        };
+    let result = await settle(pendingResult);
+    for (const rule of remainingRules) {
+      if (context.signal.aborted || !result.isValid) break;
+      result = await settle(this.runValidationRule(rule, value, context));
+    }
 
-      case 'minlength':
-        return {
-          isValid: !value || value.length >= rule.value,
-          message: rule.message
-        };
+    // Superseded by an edit or a newer check
+    if (context.signal.aborted) {
+      return fieldData.validation || fieldData.isValid;
+    }
 
-      case 'pattern':
-        return {
-          isValid: !value || rule.value.test(value),
-          message: rule.message
-        };
+    fieldData.validation = null;
 
-      case 'phone':
-        const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-        return {
-          isValid: !value || phoneRegex.test(value.replace(/[\s\-\(\)]/g, '')),
-          message: rule.message
-        };
+    if (!result.isValid) {
+      this.setFieldError(fieldData, result.message, result.rule);
+      return false;
+    }
+
+    this.setFieldSuccess(fieldData);
+    return true;
+  }
 
-      default:
-        return { isValid: true };
+  runValidationRule(rule, value, context = {}) {
+    const definition = FormValidator.rules.get(rule.type);
+    if (!definition) {
+      return { isValid: true };
     }
+
+    // Rules return true/false, or a string to replace the default message
+    const toResult = outcome => {
+      const isValid = outcome !== false && typeof outcome !== 'string';
+      if (isValid) return { isValid };
+
+      return typeof outcome === 'string'
+        ? { isValid, message: outcome }
+        : { isValid, message: this.getRuleMessage(rule, context.element), rule };
+    };
+
+    const outcome = definition.validate(value, rule.value, context);
+
+    return typeof outcome?.then === 'function'
+      ? outcome.then(toResult)
+      : toResult(outcome);
   }
 
   clearFieldState(fieldData) {
     const { element, errorElement, successElement } = fieldData;
-    
-    element.classList.remove('form__input--error', 'form__input--success');
+
+    if (fieldData.pendingController) {
+      fieldData.pendingController.abort();
+      fieldData.pendingController = null;
+    }
+    fieldData.validation = null;
+
+    element.classList.remove('form__input--error', 'form__input--success', 'form__input--pending');
+    element.removeAttribute('aria-busy');
+    fieldData.errorRule = null;
     errorElement.style.display = 'none';
     successElement.style.display = 'none';
     
     fieldData.isValid = false;
   }
 
-  setFieldError(fieldData, message) {
+  setFieldPending(fieldData) {
+    const { element } = fieldData;
+
+    element.classList.add('form__input--pending');
+    element.setAttribute('aria-busy', 'true');
+  }
+
+  // rule is kept so the message can be re-rendered when the locale changes
+  setFieldError(fieldData, message, rule = null) {
     const { element, errorElement } = fieldData;
-    
+
+    fieldData.errorRule = rule;
     element.classList.add('form__input--error');
-    element.classList.remove('form__input--success');
+    element.classList.remove('form__input--success', 'form__input--pending');
+    element.removeAttribute('aria-busy');
     errorElement.textContent = message;
     errorElement.style.display = 'block';
     
@@ -228,26 +514,37 @@ class FormValidator {
     const { element, successElement } = fieldData;
     
     element.classList.add('form__input--success');
-    element.classList.remove('form__input--error');
+    element.classList.remove('form__input--error', 'form__input--pending');
+    element.removeAttribute('aria-busy');
     successElement.style.display = 'block';
     
     fieldData.isValid = true;
   }
 
   validateForm(formData) {
-    let isValid = true;
-
-    formData.fields.forEach(fieldData => {
-      if (!this.validateField(fieldData)) {
-        isValid = false;
-      }
+    // Cross-field errors stay on the field that declares the rule (e.g. the confirmation,
+    // not the original email), and dependents are checked after their sources
+    const results = this.getValidationOrder(formData).map(fieldData => {
+      this.updateRequiredState(fieldData);
+      return this.validateField(fieldData);
     });
 
-    return isValid;
+    // Wait for async rules only when a field actually has one in flight
+    if (results.some(result => typeof result?.then === 'function')) {
+      return Promise.all(results).then(values => values.every(Boolean));
+    }
+
+    return results.every(Boolean);
   }
 
-  handleSubmit(formData) {
-    const isValid = this.validateForm(formData);
+  async handleSubmit(formData) {
+    // Enter on an earlier wizard step advances instead of submitting
+    if (formData.wizard && !formData.wizard.isLastStep()) {
+      formData.wizard.next();
+      return;
+    }
+
+    const isValid = await this.validateForm(formData);
 
     if (isValid) {
       this.submitForm(formData);
@@ -257,91 +554,691 @@ class FormValidator {
         .find(field => !field.isValid);
       
       if (firstInvalidField) {
+        formData.wizard?.showStepFor(firstInvalidField.element);
         firstInvalidField.element.focus();
       }
     }
   }
 
-  submitForm(formData) {
+  async submitForm(formData) {
     const form = formData.element;
     const submitBtn = form.querySelector('button[type="submit"]');
-    
+    const originalText = submitBtn
+      ? submitBtn.getAttribute('data-original-text') || submitBtn.textContent.trim()
+      : '';
+
     // Show loading state
     if (submitBtn) {
-      const originalText = submitBtn.textContent;
-      submitBtn.textContent = 'Submitting...';
+      submitBtn.textContent = this.t('submitting', {}, form);
       submitBtn.disabled = true;
     }
 
-    // Simulate API call
-    setTimeout(() => {
-      // Show success message
-      this.showSuccessMessage(form);
-      
-      // Reset form
-      form.reset();
-      formData.fields.forEach(fieldData => {
-        this.clearFieldState(fieldData);
-      });
+    const request = this.buildRequest(form);
+    const options = this.getSubmitOptions(form);
+
+    try {
+      if (formData.offlineQueue && !navigator.onLine) {
+        this.queueSubmission(formData, request, options);
+        return;
+      }
 
+      const response = await this.sendRequest(request, options);
+
+      if (response.ok) {
+        this.showSuccessMessage(form, response.data?.message);
+        this.resetForm(formData);
+      } else if (!this.applyServerErrors(formData, response.data)) {
+        this.showErrorMessage(form, response.data?.message ||
+          this.t('serverError', { status: response.status }, form));
+      }
+    } catch (error) {
+      if (formData.offlineQueue && error.code === 'network') {
+        this.queueSubmission(formData, request, options);
+        return;
+      }
+
+      this.showErrorMessage(form, this.t(error.code === 'timeout' ? 'timeout' : 'network', {}, form));
+    } finally {
       // Restore submit button
       if (submitBtn) {
-        submitBtn.textContent = submitBtn.getAttribute('data-original-text') || 'Submit';
+        submitBtn.textContent = originalText || this.t('submit', {}, form);
         submitBtn.disabled = false;
       }
-    }, 2000);
+    }
   }
 
-  showSuccessMessage(form) {
-    // Create success modal or alert
-    const successModal = this.createSuccessModal();
-    document.body.appendChild(successModal);
-    
-    setTimeout(() => {
-      successModal.classList.add('modal--active');
-    }, 100);
+  resetForm(formData) {
+    formData.element.reset();
+    formData.isDirty = false;
+    formData.fields.forEach(fieldData => {
+      this.clearFieldState(fieldData);
+      fieldData.isTouched = false;
+      this.updateRequiredState(fieldData);
+    });
+    formData.wizard?.reset();
+  }
+
+  getSubmitOptions(form) {
+    const { defaults } = FormValidator;
+    const number = (attribute, fallback) => {
+      const value = parseInt(form.getAttribute(attribute), 10);
+      return Number.isNaN(value) ? fallback : value;
+    };
+
+    return {
+      transport: form.getAttribute('data-transport') || defaults.transport,
+      timeout: number('data-timeout', defaults.timeout),
+      retries: number('data-retries', defaults.retries),
+      retryDelay: number('data-retry-delay', defaults.retryDelay)
+    };
+  }
+
+  buildRequest(form) {
+    const encoding = form.getAttribute('data-encoding') ||
+      (form.enctype === 'multipart/form-data' ? 'multipart' : 'json');
+    const entries = this.serializeForm(form);
+
+    return {
+      url: form.action,
+      method: (form.getAttribute('method') || 'post').toUpperCase(),
+      encoding,
+      entries,
+      headers: {
+        // Lets the server drop replays of a submission it already processed
+        'Idempotency-Key': SubmissionQueue.createKey(form.id, entries)
+      }
+    };
+  }
+
+  serializeForm(form) {
+    // Plain [name, value] pairs keep the request transport-agnostic
+    return Array.from(new FormData(form).entries())
+      .filter(([, value]) => typeof value === 'string' || value.size > 0);
+  }
+
+  async sendRequest(request, options) {
+    const transport = FormValidator.transports.get(options.transport);
+    if (!transport) {
+      throw new Error(`Unknown form transport "${options.transport}"`);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const isLastAttempt = attempt >= options.retries;
+
+      try {
+        const response = await this.sendWithTimeout(transport, request, options.timeout);
+        if (response.ok || isLastAttempt || !this.isRetryableStatus(response.status)) {
+          return response;
+        }
+      } catch (error) {
+        if (isLastAttempt) throw error;
+      }
+
+      // Exponential backoff between attempts
+      await new Promise(resolve => setTimeout(resolve, options.retryDelay * 2 ** attempt));
+    }
+  }
+
+  sendWithTimeout(transport, request, timeout) {
+    const controller = new AbortController();
+    let timer;
+
+    // Race the timer too, in case a transport ignores the abort signal
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new FormSubmissionError('timeout', `Request timed out after ${timeout}ms`));
+      }, timeout);
+    });
+
+    return Promise.race([
+      Promise.resolve().then(() => transport.send(request, { signal: controller.signal })),
+      timedOut
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  applyServerErrors(formData, data) {
+    const errors = data?.errors;
+    if (!errors) return false;
+
+    // Accept both { field: message } and [{ field, message }]
+    const entries = Array.isArray(errors)
+      ? errors.map(error => [error.field, error.message])
+      : Object.entries(errors);
+
+    let firstInvalidField = null;
+    entries.forEach(([name, message]) => {
+      const fieldData = formData.fields.get(name);
+      if (!fieldData) return;
+
+      this.setFieldError(fieldData, Array.isArray(message) ? message[0] : message);
+      firstInvalidField = firstInvalidField || fieldData;
+    });
+
+    if (!firstInvalidField) return false;
+
+    firstInvalidField.element.focus();
+    return true;
+  }
+
+  setupOfflineQueue() {
+    // Expired entries go from any page with a form, even if only the queueing page can send them
+    this.queue.prune();
+
+    if (!this.forms.some(formData => formData.offlineQueue)) return;
+
+    window.addEventListener('online', () => this.flushQueue());
+
+    this.forms.forEach(formData => this.updateQueueStatus(formData));
+
+    if (navigator.onLine) {
+      this.flushQueue();
+    }
+  }
+
+  queueSubmission(formData, request, options) {
+    const form = formData.element;
+    let isNew;
+
+    try {
+      isNew = this.queue.add({
+        id: request.headers['Idempotency-Key'],
+        formId: form.id,
+        request,
+        options
+      });
+    } catch (error) {
+      this.showErrorMessage(form, this.t('queueSaveFailed', {}, form));
+      return;
+    }
+
+    this.resetForm(formData);
+    this.updateQueueStatus(formData);
+    this.showQueuedMessage(form, isNew);
+  }
+
+  async flushQueue() {
+    if (this.isFlushingQueue) return;
+    this.isFlushingQueue = true;
+
+    try {
+      for (const entry of this.queue.entries()) {
+        if (!navigator.onLine) break;
+
+        // Entries for forms on other pages wait there, where a rejection can be shown on the form
+        const formData = this.forms.find(candidate => candidate.offlineQueue && candidate.element.id === entry.formId);
+        if (!formData) continue;
+
+        let response;
+        try {
+          response = await this.sendRequest(entry.request, entry.options);
+        } catch (error) {
+          // Still unreachable; keep everything for the next 'online' event
+          break;
+        }
+
+        if (!response.ok && this.isRetryableStatus(response.status)) break;
+
+        this.queue.remove(entry.id);
+        this.updateQueueStatus(formData);
+
+        if (response.ok) {
+          this.showSuccessMessage(formData.element, response.data?.message);
+        } else {
+          this.handleRejectedQueueEntry(formData, entry, response);
+        }
+      }
+    } catch (error) {
+      // e.g. storage refusing the write that removes a sent entry; the
+      // Idempotency-Key keeps the server from acting on it twice next time
+      console.error('Queued submissions could not be replayed', error);
+    } finally {
+      this.isFlushingQueue = false;
+    }
+  }
+
+  handleRejectedQueueEntry(formData, entry, response) {
+    const form = formData.element;
+    const message = response.data?.message || this.t('queueRejected', { status: response.status }, form);
+
+    // Never write the saved values over what the visitor is typing now; offer them instead
+    if (formData.isDirty) {
+      this.showErrorMessage(form, message, {
+        label: this.t('queueRestore', {}, form),
+        run: () => this.restoreRejectedEntry(formData, entry, response)
+      });
+      return;
+    }
+
+    if (!this.restoreRejectedEntry(formData, entry, response)) {
+      this.showErrorMessage(form, message);
+    }
+  }
+
+  // Puts the saved values back so the visitor can fix them instead of retyping
+  restoreRejectedEntry(formData, entry, response) {
+    this.restoreEntries(formData.element, entry.request.entries);
+    formData.isDirty = true;
+    return this.applyServerErrors(formData, response.data);
+  }
+
+  restoreEntries(form, entries) {
+    entries.forEach(([name, value]) => {
+      form.querySelectorAll(`[name="${CSS.escape(name)}"]`).forEach(element => {
+        if (element.type === 'checkbox' || element.type === 'radio') {
+          element.checked = element.checked || element.value === value;
+        } else if (element.type !== 'file') {
+          element.value = value;
+        }
+      });
+    });
+  }
+
+  updateQueueStatus(formData) {
+    if (!formData.offlineQueue) return;
+
+    const count = this.queue.count(formData.element.id);
+
+    if (!formData.statusElement) {
+      if (count === 0) return;
+      formData.statusElement = this.createStatusElement(formData.element);
+    }
+
+    formData.statusElement.hidden = count === 0;
+    formData.statusElement.textContent = this.plural('queueStatus', count, formData.element);
+  }
+
+  createStatusElement(form) {
+    const statusElement = document.createElement('div');
+    statusElement.className = 'form__status';
+    statusElement.setAttribute('role', 'status');
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) {
+      submitBtn.insertAdjacentElement('afterend', statusElement);
+    } else {
+      form.appendChild(statusElement);
+    }
+
+    return statusElement;
+  }
+
+  showQueuedMessage(form, isNew) {
+    const queuedModal = this.createResultModal({
+      form,
+      icon: '⏳',
+      color: 'var(--color-warning)',
+      title: this.t('queuedTitle', {}, form),
+      message: this.t(isNew ? 'queuedMessage' : 'queuedDuplicate', {}, form)
+    });
+
+    this.showResultModal(queuedModal, 5000);
+  }
+
+  showSuccessMessage(form, message) {
+    const successModal = this.createResultModal({
+      form,
+      icon: '✓',
+      color: 'var(--color-success)',
+      title: this.t('successTitle', {}, form),
+      message: message || this.t('successMessage', {}, form)
+    });
 
     // Auto-close after 3 seconds
-    setTimeout(() => {
-      successModal.classList.remove('modal--active');
-      setTimeout(() => {
-        document.body.removeChild(successModal);
-      }, 300);
-    }, 3000);
+    this.showResultModal(successModal, 3000);
+  }
+
+  showErrorMessage(form, message, action = null) {
+    const errorModal = this.createResultModal({
+      form,
+      icon: '✕',
+      color: 'var(--color-error)',
+      title: this.t('errorTitle', {}, form),
+      message,
+      action
+    });
+    errorModal.querySelector('.modal__content').setAttribute('role', 'alertdialog');
+
+    this.showResultModal(errorModal);
+  }
+
+  showResultModal(modal, autoCloseDelay) {
+    const modals = ModalManager.shared;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('modalclose', () => {
+      setTimeout(() => modal.remove(), 300);
+    }, { once: true });
+
+    modals.open(modal);
+
+    if (autoCloseDelay) {
+      setTimeout(() => modals.close(modal), autoCloseDelay);
+    }
   }
 
-  createSuccessModal() {
+  // action adds a second button: { label, run }, closing the dialog after run()
+  createResultModal({ form, icon, color, title, message, action = null }) {
     const modal = document.createElement('div');
     modal.className = 'modal';
+    modal.setAttribute('data-component', 'modal');
     modal.innerHTML = `
       <div class="modal__content" style="text-align: center; max-width: 400px;">
-        <div style="font-size: 3rem; color: var(--color-success); margin-bottom: 1rem;">✓</div>
-        <h3>Success!</h3>
-        <p>Your form has been submitted successfully. We'll get back to you soon!</p>
-        <button class="btn btn--primary" onclick="this.closest('.modal').classList.remove('modal--active')">
-          Close
-        </button>
+        <div style="font-size: 3rem; color: ${color}; margin-bottom: 1rem;">${icon}</div>
+        <h3></h3>
+        <p></p>
+        <button class="btn btn--primary" data-modal-close></button>
       </div>
     `;
 
+    // Server-provided text is never interpreted as markup
+    modal.querySelector('h3').textContent = title;
+    modal.querySelector('p').textContent = message;
+    modal.querySelector('[data-modal-close]').textContent = this.t('close', {}, form);
+
+    if (action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn--secondary';
+      button.style.marginRight = '0.5rem';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        ModalManager.shared.close(modal);
+        action.run();
+      });
+      modal.querySelector('[data-modal-close]').before(button);
+    }
+
     return modal;
   }
+}
 
-  // Utility function
-  debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
+export class FormSubmissionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'FormSubmissionError';
+    this.code = code;
   }
 }
 
-// Initialize form validation
-document.addEventListener('DOMContentLoaded', () => {
-  new FormValidator();
-});
\ No newline at end of file
+FormValidator.defaults = {
+  transport: 'fetch',
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 1000
+};
+
+FormValidator.getFieldLabel = (input) => {
+  return input.getAttribute('data-field-name') ||
+         input.labels?.[0]?.textContent?.replace('*', '').trim() ||
+         input.placeholder ||
+         '';
+};
+
+// Fills {name} placeholders, leaving unknown ones as they are
+FormValidator.format = (message, params = {}) => {
+  return message.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+};
+
+FormValidator.messages = {
+  en: {
+    thisField: 'This field',
+    required: '{field} is required',
+    'required-if': '{field} is required',
+    'required-unless': '{field} is required',
+    email: 'Please enter a valid email address',
+    minlength: 'Minimum {value} characters required',
+    maxlength: 'Maximum {value} characters allowed',
+    min: 'Must be {value} or more',
+    max: 'Must be {value} or less',
+    pattern: 'Please match the requested format',
+    phone: 'Please enter a valid phone number',
+    url: 'Please enter a valid URL, including https://',
+    number: 'Please enter a valid number',
+    match: 'Must match {other}',
+    remote: 'This value is not available',
+    invalid: 'Please enter a valid value',
+    success: '✓ Looks good',
+    submit: 'Submit',
+    submitting: 'Submitting...',
+    close: 'Close',
+    successTitle: 'Success!',
+    successMessage: "Your form has been submitted successfully. We'll get back to you soon!",
+    errorTitle: 'Submission failed',
+    serverError: 'Something went wrong on our side (error {status}). Please try again.',
+    timeout: 'The server took too long to respond. Please try again.',
+    network: 'We could not reach the server. Please check your connection and try again.',
+    queuedTitle: 'Saved offline',
+    queuedMessage: "You're offline, so we saved your submission on this device. It will be sent automatically when you're back online.",
+    queuedDuplicate: 'This submission is already queued and will be sent once when you are back online.',
+    queueSaveFailed: 'You appear to be offline and your submission could not be saved on this device. Please try again once you are back online.',
+    queueRejected: 'A submission saved while you were offline was rejected (error {status}). Please submit it again.',
+    queueRestore: 'Restore saved answers',
+    queueStatus_one: '{count} submission is queued and will be sent when you are back online.',
+    queueStatus_other: '{count} submissions are queued and will be sent when you are back online.',
+    wizardBack: 'Back',
+    wizardNext: 'Next',
+    wizardProgressLabel: 'Form progress',
+    wizardProgress: 'Step {current} of {total}: {title}',
+    // Registration form fields
+    'email.remote': 'This email address is already registered',
+    'confirmEmail.match': 'Email addresses do not match',
+    'accessibility.required-if': 'Please describe the accommodations you need',
+    'terms.required': 'Please accept the Terms and Conditions to continue',
+    // Ticket selector
+    ticketSubmit: 'Complete Registration - {total}',
+    ticketLine: '{quantity} × {price}',
+    ticketLineEarlyBird: '{quantity} × {price} (early bird)',
+    ticketGroupDiscount: 'Group discount ({percent}%)',
+    ticketPromo: 'Promo {code}',
+    promoApplied: '{code} applied',
+    promoAppliedLabel: '{code} applied – {label}',
+    promoNotApplicable: "{code} can't be used with this selection",
+    promoInvalid: '{code} is not a valid code'
+  }
+};
+
+// Merges translations into the catalog, e.g. FormValidator.addMessages('de', { required: '...' })
+FormValidator.addMessages = (locale, messages) => {
+  const key = locale.toLowerCase();
+  FormValidator.messages[key] = { ...FormValidator.messages[key], ...messages };
+};
+
+FormValidator.rules = new Map();
+
+// Rules implied by an input's type attribute
+FormValidator.typeRules = {
+  email: 'email',
+  url: 'url',
+  number: 'number',
+  tel: 'phone'
+};
+
+/**
+ * Registers a validation rule usable from attributes and data-rule.
+ * validate(value, param, context) returns true/false, a message string on failure,
+ * or a promise of either; context.signal aborts when the check goes stale.
+ * message is the English default for the rule's catalog entry ({field}, {value} and
+ * {other} are interpolated); translate it with FormValidator.addMessages.
+ * dependsOn(param) names the other fields the rule reads through context.getValue,
+ * and isRequired(param, context) marks rules that make a field conditionally required.
+ */
+FormValidator.registerRule = (name, validate, { message, dependsOn, isRequired } = {}) => {
+  if (typeof validate !== 'function') {
+    throw new TypeError(`Validation rule "${name}" must be a function`);
+  }
+
+  FormValidator.rules.set(name, { validate, dependsOn, isRequired });
+
+  if (!(name in FormValidator.messages.en)) {
+    FormValidator.messages.en[name] = message || FormValidator.messages.en.invalid;
+  }
+};
+
+FormValidator.registerRule('required', (value) => value.length > 0);
+
+FormValidator.registerRule('email', (value) => {
+  return !value || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+});
+
+FormValidator.registerRule('minlength', (value, min) => {
+  return !value || value.length >= Number(min);
+});
+
+FormValidator.registerRule('maxlength', (value, max) => {
+  return !value || value.length <= Number(max);
+});
+
+// min/max compare numerically, falling back to string order for ISO dates and times
+FormValidator.compareValues = (a, b) => {
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+    return numberA - numberB;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+FormValidator.registerRule('min', (value, min) => {
+  return !value || FormValidator.compareValues(value, min) >= 0;
+});
+
+FormValidator.registerRule('max', (value, max) => {
+  return !value || FormValidator.compareValues(value, max) <= 0;
+});
+
+FormValidator.registerRule('pattern', (value, pattern) => {
+  return !value || (pattern instanceof RegExp ? pattern : new RegExp(pattern)).test(value);
+});
+
+FormValidator.registerRule('phone', (value) => {
+  return !value || /^[\+]?[1-9][\d]{0,15}$/.test(value.replace(/[\s\-\(\)]/g, ''));
+});
+
+FormValidator.registerRule('url', (value) => {
+  if (!value) return true;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+});
+
+FormValidator.registerRule('number', (value, param, { element }) => {
+  // Browsers report unparseable number input as an empty value plus badInput
+  if (element?.validity?.badInput) return false;
+  return !value || Number.isFinite(Number(value));
+});
+
+FormValidator.registerRule('match', (value, otherName, { getValue }) => {
+  return !value || value === getValue(otherName);
+}, {
+  dependsOn: (otherName) => [otherName]
+});
+
+// Conditions read "field" (has a value / is checked) or "field=value"
+FormValidator.parseCondition = (condition) => {
+  const [name, expected] = condition.split('=').map(part => part.trim());
+  return { name, expected };
+};
+
+FormValidator.isConditionMet = (condition, getValue) => {
+  const { name, expected } = FormValidator.parseCondition(condition);
+  const actual = getValue(name);
+
+  if (expected === undefined) {
+    return actual !== '';
+  }
+  // Checkbox groups report their checked values comma-separated
+  return actual.split(',').includes(expected);
+};
+
+// e.g. data-rule="required-if:accessibilityNeeded"
+FormValidator.registerRule('required-if', (value, condition, { getValue }) => {
+  return value.length > 0 || !FormValidator.isConditionMet(condition, getValue);
+}, {
+  dependsOn: (condition) => [FormValidator.parseCondition(condition).name],
+  isRequired: (condition, { getValue }) => FormValidator.isConditionMet(condition, getValue)
+});
+
+// e.g. data-rule="required-unless:industry=other"
+FormValidator.registerRule('required-unless', (value, condition, { getValue }) => {
+  return value.length > 0 || FormValidator.isConditionMet(condition, getValue);
+}, {
+  dependsOn: (condition) => [FormValidator.parseCondition(condition).name],
+  isRequired: (condition, { getValue }) => !FormValidator.isConditionMet(condition, getValue)
+});
+
+// Asks an endpoint whether the value is acceptable, e.g. remote:/api/email-available
+// The endpoint answers { valid: boolean, message?: string }
+FormValidator.registerRule('remote', async (value, url, { element, signal }) => {
+  if (!value) return true;
+
+  const query = new URLSearchParams({ [element.name || element.id]: value });
+  const response = await fetch(`${url}?${query}`, {
+    headers: { Accept: 'application/json' },
+    signal
+  });
+
+  // Let the server-side check on submit decide when the lookup itself fails
+  if (!response.ok) return true;
+
+  const data = await response.json();
+  return data.valid === false ? data.message || false : true;
+});
+
+FormValidator.transports = new Map();
+
+FormValidator.registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new TypeError(`Form transport "${name}" must implement send(request, { signal })`);
+  }
+  FormValidator.transports.set(name, transport);
+};
+
+// Default transport: posts the form with fetch as JSON or multipart/form-data
+FormValidator.registerTransport('fetch', {
+  async send({ url, method, encoding, entries, headers }, { signal }) {
+    const init = {
+      method,
+      headers: { Accept: 'application/json', ...headers },
+      signal
+    };
+
+    if (method === 'GET') {
+      const query = new URLSearchParams(entries.filter(([, value]) => typeof value === 'string'));
+      url = `${url.split('?')[0]}?${query}`;
+    } else if (encoding === 'multipart') {
+      init.body = new FormData();
+      entries.forEach(([name, value]) => init.body.append(name, value));
+    } else {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(entries.reduce((payload, [name, value]) => {
+        // Repeated names (e.g. checkbox groups) become arrays
+        if (Object.hasOwn(payload, name)) {
+          payload[name] = [].concat(payload[name], value);
+        } else {
+          payload[name] = value;
+        }
+        return payload;
+      }, {}));
+    }
+
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      if (signal.aborted) throw error;
+      throw new FormSubmissionError('network', error.message);
+    }
+
+    const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+    const data = isJson ? await response.json().catch(() => null) : null;
+
+    return { ok: response.ok, status: response.status, data };
+  }
+});
@@ -0,0 +1,242 @@
+/**
+ * Future Gadget Expo 2025 - Form Wizard
+ * Splits a validated form into <fieldset data-step> steps and keeps a session draft
+ */
+
+import { debounce } from './debounce.js';
+
+export class FormWizard {
+  constructor(formData, validator) {
+    this.formData = formData;
+    this.form = formData.element;
+    this.validator = validator;
+    this.steps = Array.from(this.form.querySelectorAll('fieldset[data-step]'));
+    this.currentStep = 0;
+    this.storageKey = `fge-draft-${this.form.id || 'form'}`;
+    // Set once the form is submitted or reset, so nothing writes the old draft back
+    this.isDraftCleared = false;
+    this.init();
+  }
+
+  init() {
+    if (this.steps.length === 0) return;
+
+    this.form.classList.add('form--wizard');
+    this.createProgress();
+    this.createNavigation();
+
+    const draft = this.restoreDraft();
+    this.showStep(draft?.step ?? 0, { focus: false });
+
+    const saveDraft = debounce(() => this.saveDraft(), 300);
+    const startDraft = () => {
+      this.isDraftCleared = false;
+      saveDraft();
+    };
+    this.form.addEventListener('input', startDraft);
+    this.form.addEventListener('change', startDraft);
+
+    // Catch the last keystrokes before a reload or tab close
+    window.addEventListener('pagehide', () => this.saveDraft());
+  }
+
+  createProgress() {
+    const progress = document.createElement('ol');
+    progress.className = 'wizard__progress';
+
+    this.progressItems = this.steps.map((step, index) => {
+      const item = document.createElement('li');
+      item.className = 'wizard__progress-item';
+      item.innerHTML = `
+        <span class="wizard__progress-number" aria-hidden="true">${index + 1}</span>
+        <span class="wizard__progress-label"></span>
+      `;
+      item.querySelector('.wizard__progress-label').textContent = this.getStepTitle(step, index);
+      progress.appendChild(item);
+      return item;
+    });
+
+    const status = document.createElement('p');
+    status.className = 'sr-only';
+    status.setAttribute('aria-live', 'polite');
+
+    this.steps[0].before(progress, status);
+    this.progress = progress;
+    this.statusElement = status;
+  }
+
+  createNavigation() {
+    const nav = document.createElement('div');
+    nav.className = 'wizard__nav';
+    nav.innerHTML = `
+      <button type="button" class="btn btn--secondary wizard__back"></button>
+      <button type="button" class="btn btn--primary wizard__next"></button>
+    `;
+
+    this.backButton = nav.querySelector('.wizard__back');
+    this.nextButton = nav.querySelector('.wizard__next');
+    this.backButton.addEventListener('click', () => this.back());
+    this.nextButton.addEventListener('click', () => this.next());
+
+    // The submit button only belongs on the last step
+    const submitBtn = this.form.querySelector('button[type="submit"]');
+    this.submitGroup = submitBtn?.closest('.form__group') || submitBtn;
+
+    if (this.submitGroup) {
+      this.submitGroup.before(nav);
+    } else {
+      this.form.appendChild(nav);
+    }
+
+    this.updateLabels();
+  }
+
+  getStepTitle(step, index) {
+    return step.getAttribute('data-step-title') ||
+           step.querySelector('legend')?.textContent.trim() ||
+           String(index + 1);
+  }
+
+  // Called again by FormValidator.setLocale
+  updateLabels() {
+    const t = (key, params) => this.validator.t(key, params, this.form);
+
+    this.backButton.textContent = t('wizardBack');
+    this.nextButton.textContent = t('wizardNext');
+    this.progress.setAttribute('aria-label', t('wizardProgressLabel'));
+    this.statusElement.textContent = t('wizardProgress', {
+      current: this.currentStep + 1,
+      total: this.steps.length,
+      title: this.getStepTitle(this.steps[this.currentStep], this.currentStep)
+    });
+  }
+
+  isLastStep() {
+    return this.currentStep === this.steps.length - 1;
+  }
+
+  showStep(index, { focus = true } = {}) {
+    this.currentStep = Math.max(0, Math.min(index, this.steps.length - 1));
+
+    this.steps.forEach((step, i) => {
+      step.hidden = i !== this.currentStep;
+    });
+
+    this.progressItems.forEach((item, i) => {
+      item.classList.toggle('wizard__progress-item--active', i === this.currentStep);
+      item.classList.toggle('wizard__progress-item--complete', i < this.currentStep);
+      if (i === this.currentStep) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+
+    this.backButton.hidden = this.currentStep === 0;
+    this.nextButton.hidden = this.isLastStep();
+    if (this.submitGroup) {
+      this.submitGroup.hidden = !this.isLastStep();
+    }
+
+    this.updateLabels();
+
+    if (focus) {
+      const step = this.steps[this.currentStep];
+      const heading = step.querySelector('legend') || step;
+      heading.setAttribute('tabindex', '-1');
+      heading.focus();
+    }
+  }
+
+  // Moves to the step holding a field, e.g. the first invalid one on submit
+  showStepFor(element) {
+    const index = this.steps.findIndex(step => step.contains(element));
+    if (index !== -1 && index !== this.currentStep) {
+      this.showStep(index, { focus: false });
+    }
+  }
+
+  async next() {
+    const fields = Array.from(this.formData.fields.values())
+      .filter(fieldData => this.steps[this.currentStep].contains(fieldData.element));
+
+    const results = await Promise.all(fields.map(fieldData => this.validator.validateField(fieldData)));
+
+    if (!results.every(Boolean)) {
+      fields.find(fieldData => !fieldData.isValid)?.element.focus();
+      return false;
+    }
+
+    this.showStep(this.currentStep + 1);
+    this.saveDraft();
+    return true;
+  }
+
+  back() {
+    this.showStep(this.currentStep - 1);
+    this.saveDraft();
+  }
+
+  reset() {
+    this.isDraftCleared = true;
+    this.clearDraft();
+    this.showStep(0, { focus: false });
+  }
+
+  isPersistable(element) {
+    // RadioNodeList for groups sharing a name
+    const field = element instanceof RadioNodeList ? element[0] : element;
+    if (!field || field.hasAttribute('data-no-persist')) return false;
+    if (['password', 'file'].includes(field.type)) return false;
+    if ((field.getAttribute('autocomplete') || '').includes('cc-')) return false;
+
+    return !FormWizard.sensitiveName.test(field.name || field.id);
+  }
+
+  saveDraft() {
+    // Until the visitor types again after a submit or reset
+    if (this.isDraftCleared) return;
+
+    const values = this.validator.serializeForm(this.form)
+      .filter(([name, value]) => typeof value === 'string')
+      .filter(([name]) => this.isPersistable(this.form.elements.namedItem(name)));
+
+    try {
+      sessionStorage.setItem(this.storageKey, JSON.stringify({ step: this.currentStep, values }));
+    } catch (error) {
+      // Drafts are a convenience; storage may be full or disabled
+    }
+  }
+
+  restoreDraft() {
+    let draft;
+    try {
+      draft = JSON.parse(sessionStorage.getItem(this.storageKey));
+    } catch (error) {
+      return null;
+    }
+    if (!draft || !Array.isArray(draft.values)) return null;
+
+    // Re-check on the way in, in case the markup changed since the draft was saved
+    const values = draft.values.filter(([name]) => this.isPersistable(this.form.elements.namedItem(name)));
+    this.validator.restoreEntries(this.form, values);
+
+    this.formData.fields.forEach(fieldData => this.validator.updateRequiredState(fieldData));
+
+    // Let other scripts that watch the form (e.g. the submit button state) catch up
+    this.form.dispatchEvent(new Event('input', { bubbles: true }));
+
+    return draft;
+  }
+
+  clearDraft() {
+    try {
+      sessionStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // Nothing to clear
+    }
+  }
+}
+
+// Payment-like fields are never written to the draft
+FormWizard.sensitiveName = /card|cvc|cvv|csc|expir|iban|account|routing|password|ssn/i;
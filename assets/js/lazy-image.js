@@ -0,0 +1,133 @@
+/**
+ * Future Gadget Expo 2025 - Lazy Image
+ * Loads data-src, data-srcset and data-sizes once an image (data-component="lazy-image") nears the viewport.
+ * The image blurs up from its placeholder (its src, or a low-quality data-placeholder), failed loads are
+ * retried with backoff, and an image that still fails shows a broken-image fallback (or data-fallback).
+ */
+
+export class LazyImage {
+  constructor(element) {
+    this.element = element;
+    this.attempt = 0;
+    this.pending = null;
+  }
+
+  mount() {
+    const img = this.element;
+    if (!img.dataset.src && !img.dataset.srcset) return;
+
+    img.classList.add('lazy');
+    if (img.dataset.placeholder) {
+      img.src = img.dataset.placeholder;
+    }
+
+    if ('IntersectionObserver' in window) {
+      LazyImage.instances.set(img, this);
+      LazyImage.getObserver().observe(img);
+    } else if ('loading' in HTMLImageElement.prototype) {
+      // The browser defers the download itself
+      img.loading = 'lazy';
+      this.load();
+    } else {
+      this.load();
+    }
+  }
+
+  unmount() {
+    LazyImage.observer?.unobserve(this.element);
+    LazyImage.instances.delete(this.element);
+    this.pending?.abort();
+    this.pending = null;
+  }
+
+  load() {
+    const img = this.element;
+    const { src, srcset, sizes } = img.dataset;
+
+    this.pending?.abort();
+    this.pending = new AbortController();
+    const { signal } = this.pending;
+
+    img.addEventListener('load', () => this.onLoad(), { signal });
+    img.addEventListener('error', () => this.onError(), { signal });
+
+    // sizes and srcset first, so the browser picks a candidate before src starts a download
+    if (sizes) img.sizes = sizes;
+    if (srcset) img.srcset = srcset;
+    if (src) img.src = src;
+  }
+
+  onLoad() {
+    this.pending.abort();
+    this.pending = null;
+    this.element.classList.add('lazy--loaded');
+  }
+
+  onError() {
+    this.pending.abort();
+
+    if (this.attempt >= LazyImage.maxRetries) {
+      this.pending = null;
+      this.showFallback();
+      return;
+    }
+
+    this.pending = new AbortController();
+    const { signal } = this.pending;
+
+    // Offline retries would only use up attempts, so wait for the connection to come back
+    if (!navigator.onLine) {
+      window.addEventListener('online', () => this.load(), { once: true, signal });
+      return;
+    }
+
+    const delay = LazyImage.retryDelay * 2 ** this.attempt;
+    this.attempt++;
+
+    const timer = setTimeout(() => this.load(), delay);
+    signal.addEventListener('abort', () => clearTimeout(timer));
+  }
+
+  showFallback() {
+    const img = this.element;
+
+    // srcset would take precedence over the fallback src
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+    img.src = img.dataset.fallback || LazyImage.fallbackSrc;
+    img.classList.add('lazy--error');
+  }
+
+  // One observer shared by every lazy image on the page
+  static getObserver() {
+    if (!LazyImage.observer) {
+      LazyImage.observer = new IntersectionObserver((entries, observer) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            observer.unobserve(entry.target);
+            LazyImage.instances.get(entry.target)?.load();
+          }
+        });
+      }, { rootMargin: LazyImage.rootMargin });
+    }
+    return LazyImage.observer;
+  }
+}
+
+LazyImage.observer = null;
+LazyImage.instances = new WeakMap();
+
+// Start loading a little before an image scrolls into view
+LazyImage.rootMargin = '200px 0px';
+
+// Retries wait 1s, 2s, then 4s before giving up
+LazyImage.maxRetries = 3;
+LazyImage.retryDelay = 1000;
+
+LazyImage.fallbackSrc = `data:image/svg+xml,${encodeURIComponent(
+  "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 600 400'>" +
+  "<rect width='600' height='400' fill='#f3f4f6'/>" +
+  "<path d='M270 170h60v45h-60z M280 200l12-14 10 10 8-8 10 12z' fill='none' stroke='#9ca3af' stroke-width='4' stroke-linejoin='round'/>" +
+  "<text x='50%' y='62%' text-anchor='middle' font-family='Inter, sans-serif' font-size='16' fill='#666'>Image unavailable</text>" +
+  '</svg>'
+)}`;
@@ -0,0 +1,358 @@
+/**
+ * Future Gadget Expo 2025 - Lightbox
+ * Grouped, filter-aware image viewer with captions, swipe, pinch zoom and shareable URLs
+ */
+
+import { ModalManager } from './modal-manager.js';
+
+export class Lightbox {
+  /**
+   * @param {Element} root - the gallery (data-component="lightbox") whose [data-lightbox] items open in the viewer
+   */
+  constructor(root, { app, modals = app?.modals || ModalManager.shared, param = 'photo' } = {}) {
+    this.root = root;
+    this.modals = modals;
+    this.param = param;
+    this.items = [];
+    this.index = 0;
+    this.trigger = null;
+    this.preloaded = new Set();
+    this.zoom = { scale: 1, x: 0, y: 0 };
+    this.listeners = null;
+  }
+
+  mount() {
+    this.listeners = new AbortController();
+    this.element = this.createElement();
+    this.setupEventListeners();
+    this.setupGestures();
+    this.openFromLocation();
+  }
+
+  unmount() {
+    this.close();
+    this.listeners?.abort();
+    this.listeners = null;
+    this.element?.remove();
+  }
+
+  createElement() {
+    const lightbox = document.createElement('div');
+    lightbox.className = 'lightbox';
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+    lightbox.setAttribute('aria-label', 'Image viewer');
+    lightbox.innerHTML = `
+      <div class="lightbox__content">
+        <figure class="lightbox__figure">
+          <div class="lightbox__stage">
+            <img class="lightbox__image" src="" alt="">
+          </div>
+          <figcaption class="lightbox__caption"></figcaption>
+        </figure>
+        <p class="lightbox__counter" aria-live="polite"></p>
+        <button class="lightbox__close" aria-label="Close lightbox">×</button>
+        <button class="lightbox__nav lightbox__nav--prev" aria-label="Previous image">‹</button>
+        <button class="lightbox__nav lightbox__nav--next" aria-label="Next image">›</button>
+      </div>
+    `;
+
+    document.body.appendChild(lightbox);
+
+    this.image = lightbox.querySelector('.lightbox__image');
+    this.stage = lightbox.querySelector('.lightbox__stage');
+    this.caption = lightbox.querySelector('.lightbox__caption');
+    this.counter = lightbox.querySelector('.lightbox__counter');
+    this.prevBtn = lightbox.querySelector('.lightbox__nav--prev');
+    this.nextBtn = lightbox.querySelector('.lightbox__nav--next');
+
+    return lightbox;
+  }
+
+  setupEventListeners() {
+    const { signal } = this.listeners;
+
+    // Lightbox triggers
+    this.root.addEventListener('click', (e) => {
+      const trigger = e.target.closest('[data-lightbox]');
+      if (trigger) {
+        e.preventDefault();
+        this.open(trigger);
+      }
+    }, { signal });
+
+    this.element.querySelector('.lightbox__close').addEventListener('click', () => this.close());
+    this.prevBtn.addEventListener('click', () => this.prev());
+    this.nextBtn.addEventListener('click', () => this.next());
+
+    // Close on backdrop click
+    this.element.addEventListener('click', (e) => {
+      if (e.target === this.element) {
+        this.close();
+      }
+    });
+
+    // Keyboard navigation
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen) return;
+
+      switch (e.key) {
+        case 'Escape':
+          this.close();
+          break;
+        case 'ArrowLeft':
+          this.prev();
+          break;
+        case 'ArrowRight':
+          this.next();
+          break;
+        case 'Tab':
+          this.trapFocus(e);
+          break;
+      }
+    }, { signal });
+  }
+
+  get isOpen() {
+    return Boolean(this.element?.classList.contains('lightbox--active'));
+  }
+
+  getSource(item) {
+    return item.getAttribute('data-lightbox') || item.src || item.href;
+  }
+
+  getCaption(item) {
+    return item.getAttribute('data-caption') || item.getAttribute('alt') || '';
+  }
+
+  getGroup(item) {
+    const groupElement = item.closest('[data-lightbox-group]');
+    return groupElement ? groupElement.getAttribute('data-lightbox-group') : '';
+  }
+
+  getGroupItems(group) {
+    return Array.from(this.root.querySelectorAll('[data-lightbox]'))
+      .filter(item => this.getGroup(item) === group);
+  }
+
+  // Stable across filtering, so shared links keep pointing at the same photo
+  getItemId(item) {
+    const explicitId = item.getAttribute('data-lightbox-id') || item.id;
+    if (explicitId) return explicitId;
+
+    const group = this.getGroup(item);
+    return `${group || 'photo'}-${this.getGroupItems(group).indexOf(item) + 1}`;
+  }
+
+  // Items hidden by a gallery filter (or anything else) are skipped
+  isVisible(item) {
+    for (let node = item; node && node !== document.body; node = node.parentElement) {
+      if (node.hidden || getComputedStyle(node).display === 'none') return false;
+    }
+    return true;
+  }
+
+  open(trigger) {
+    const items = this.getGroupItems(this.getGroup(trigger))
+      .filter(item => item === trigger || this.isVisible(item));
+
+    this.items = items;
+    this.index = items.indexOf(trigger);
+
+    if (!this.isOpen) {
+      this.trigger = document.activeElement;
+      this.element.classList.add('lightbox--active');
+      this.modals.lockScroll();
+    }
+
+    this.show();
+    this.element.querySelector('.lightbox__close').focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.element.classList.remove('lightbox--active');
+    this.modals.unlockScroll();
+    this.resetZoom();
+    this.updateLocation(null);
+
+    if (this.trigger?.isConnected) {
+      this.trigger.focus();
+    }
+    this.trigger = null;
+  }
+
+  next() {
+    this.go(1);
+  }
+
+  prev() {
+    this.go(-1);
+  }
+
+  go(step) {
+    if (this.items.length <= 1) return;
+
+    this.index = (this.index + step + this.items.length) % this.items.length;
+    this.show();
+  }
+
+  show() {
+    const item = this.items[this.index];
+    const caption = this.getCaption(item);
+
+    this.resetZoom();
+    this.image.src = this.getSource(item);
+    this.image.alt = caption;
+    this.caption.textContent = caption;
+    this.caption.hidden = !caption;
+    this.counter.textContent = `${this.index + 1} of ${this.items.length}`;
+
+    const hasSiblings = this.items.length > 1;
+    this.prevBtn.hidden = !hasSiblings;
+    this.nextBtn.hidden = !hasSiblings;
+    this.counter.hidden = !hasSiblings;
+
+    this.preloadNeighbours();
+    this.updateLocation(item);
+  }
+
+  preloadNeighbours() {
+    if (this.items.length <= 1) return;
+
+    [this.index - 1, this.index + 1].forEach(index => {
+      const item = this.items[(index + this.items.length) % this.items.length];
+      const src = this.getSource(item);
+
+      if (!this.preloaded.has(src)) {
+        this.preloaded.add(src);
+        new Image().src = src;
+      }
+    });
+  }
+
+  updateLocation(item) {
+    const url = new URL(location.href);
+
+    if (item) {
+      url.searchParams.set(this.param, this.getItemId(item));
+    } else {
+      url.searchParams.delete(this.param);
+    }
+
+    if (url.href !== location.href) {
+      history.replaceState(history.state, '', url);
+    }
+  }
+
+  openFromLocation() {
+    const id = new URLSearchParams(location.search).get(this.param);
+    if (!id) return;
+
+    const item = Array.from(this.root.querySelectorAll('[data-lightbox]'))
+      .find(candidate => this.getItemId(candidate) === id);
+
+    if (item) {
+      this.open(item);
+    } else {
+      this.updateLocation(null);
+    }
+  }
+
+  trapFocus(e) {
+    const focusable = Array.from(this.element.querySelectorAll('button:not([hidden])'));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  setupGestures() {
+    let start = null;
+
+    this.stage.addEventListener('touchstart', (e) => {
+      if (e.touches.length === 2) {
+        start = { distance: this.getTouchDistance(e.touches), scale: this.zoom.scale, isPinch: true };
+      } else if (e.touches.length === 1 && !start?.isPinch) {
+        const touch = e.touches[0];
+        start = { x: touch.clientX, y: touch.clientY, panX: this.zoom.x, panY: this.zoom.y };
+      }
+    }, { passive: true });
+
+    this.stage.addEventListener('touchmove', (e) => {
+      if (!start) return;
+
+      if (start.isPinch && e.touches.length === 2) {
+        e.preventDefault();
+        const scale = start.scale * (this.getTouchDistance(e.touches) / start.distance);
+        this.setZoom(scale, this.zoom.x, this.zoom.y);
+      } else if (!start.isPinch && this.zoom.scale > 1) {
+        // Drag to pan while zoomed in
+        e.preventDefault();
+        const touch = e.touches[0];
+        this.setZoom(this.zoom.scale, start.panX + touch.clientX - start.x, start.panY + touch.clientY - start.y);
+      }
+    }, { passive: false });
+
+    this.stage.addEventListener('touchend', (e) => {
+      if (!start || e.touches.length > 0) return;
+
+      if (!start.isPinch && this.zoom.scale === 1) {
+        const touch = e.changedTouches[0];
+        const deltaX = touch.clientX - start.x;
+        const deltaY = touch.clientY - start.y;
+
+        if (Math.abs(deltaX) > Lightbox.swipeThreshold && Math.abs(deltaX) > Math.abs(deltaY)) {
+          this.go(deltaX < 0 ? 1 : -1);
+        }
+      }
+
+      start = null;
+    });
+
+    // Double-click or double-tap toggles zoom
+    this.stage.addEventListener('dblclick', () => {
+      if (this.zoom.scale > 1) {
+        this.resetZoom();
+      } else {
+        this.setZoom(2, 0, 0);
+      }
+    });
+  }
+
+  getTouchDistance([first, second]) {
+    return Math.hypot(first.clientX - second.clientX, first.clientY - second.clientY);
+  }
+
+  setZoom(scale, x, y) {
+    const clampedScale = Math.min(Math.max(scale, 1), Lightbox.maxZoom);
+    // Keep the image edges from being dragged past the stage
+    const maxX = (this.stage.clientWidth * (clampedScale - 1)) / 2;
+    const maxY = (this.stage.clientHeight * (clampedScale - 1)) / 2;
+
+    this.zoom = {
+      scale: clampedScale,
+      x: clampedScale === 1 ? 0 : Math.min(Math.max(x, -maxX), maxX),
+      y: clampedScale === 1 ? 0 : Math.min(Math.max(y, -maxY), maxY)
+    };
+
+    this.image.style.transform = clampedScale === 1
+      ? ''
+      : `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${clampedScale})`;
+    this.stage.classList.toggle('lightbox__stage--zoomed', clampedScale > 1);
+  }
+
+  resetZoom() {
+    this.setZoom(1, 0, 0);
+  }
+}
+
+Lightbox.swipeThreshold = 50;
+Lightbox.maxZoom = 4;
@@ -1,34 +1,61 @@
 /**
  * Future Gadget Expo 2025 - Main JavaScript
- * Handles navigation, smooth scrolling, and back-to-top functionality
+ * Handles navigation, smooth scrolling, section scroll-spy, the header and back-to-top scroll states,
+ * and mounts [data-component] elements through the component registry
  */
 
-class MainApp {
+import { ComponentRegistry } from './component-registry.js';
+import { ModalManager, Modal } from './modal-manager.js';
+import { Tabs } from './tabs.js';
+import { Expandable } from './expandable.js';
+import { LazyImage } from './lazy-image.js';
+import { NavDrawer } from './nav-drawer.js';
+
+export class MainApp {
   constructor() {
+    this.modals = ModalManager.shared;
+    // Every listener MainApp adds is tied to this signal, so destroy() can remove them all
+    this.listeners = new AbortController();
+    this.observers = [];
+    this.components = new ComponentRegistry(document.documentElement, { app: this });
+    this.registerComponents();
     this.init();
   }
 
   init() {
     this.setupEventListeners();
-    this.setupMobileNavigation();
     this.setupSmoothScrolling();
     this.setupBackToTop();
     this.setupActiveNavigation();
+    this.setupScrollState();
+    this.setupScrollSpy();
+  }
+
+  registerComponents() {
+    this.components.define('tabs', Tabs);
+    this.components.define('expandable', Expandable);
+    this.components.define('modal', Modal);
+    this.components.define('lazy-image', LazyImage);
+    this.components.define('nav-drawer', NavDrawer);
+
+    // Page-specific components are split into their own chunks and only fetched where used
+    this.components.define('schedule', () => import('./schedule.js').then(module => module.Schedule));
+    this.components.define('lightbox', () => import('./lightbox.js').then(module => module.Lightbox));
   }
 
   setupEventListeners() {
+    const { signal } = this.listeners;
+
     // DOM loaded
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => {
         this.onDOMLoaded();
-      });
+      }, { signal });
     } else {
       this.onDOMLoaded();
     }
 
-    // Window events
-    window.addEventListener('scroll', this.throttle(this.onScroll.bind(this), 16));
-    window.addEventListener('resize', this.debounce(this.onResize.bind(this), 250));
+    document.addEventListener('themechange', () => this.onThemeChange(), { signal });
   }
 
   onDOMLoaded() {
@@ -38,69 +65,19 @@ class MainApp {
       heroContent.classList.add('fade-in');
     }
 
-    // Initialize components
-    this.initializeComponents();
+    // Mount [data-component] elements now and whenever they are added later
+    this.components.start();
   }
 
-  initializeComponents() {
-    // Initialize any page-specific components
-    this.initializeTabs();
-    this.initializeModals();
-    this.initializeLightbox();
-    this.initializeLazyLoading();
-  }
-
-  setupMobileNavigation() {
-    const navToggle = document.querySelector('.nav-toggle');
-    const mobileNav = document.querySelector('.nav--mobile');
-    const navLinks = document.querySelectorAll('.nav--mobile .nav__link');
-
-    if (navToggle && mobileNav) {
-      navToggle.addEventListener('click', () => {
-        const isOpen = mobileNav.classList.contains('nav--open');
-        
-        if (isOpen) {
-          this.closeMobileNav(mobileNav, navToggle);
-        } else {
-          this.openMobileNav(mobileNav, navToggle);
-        }
-      });
-
-      // Close mobile nav when clicking on links
-      navLinks.forEach(link => {
-        link.addEventListener('click', () => {
-          this.closeMobileNav(mobileNav, navToggle);
-        });
-      });
-
-      // Close mobile nav when clicking outside
-      document.addEventListener('click', (e) => {
-        if (!e.target.closest('.header') && mobileNav.classList.contains('nav--open')) {
-          this.closeMobileNav(mobileNav, navToggle);
-        }
-      });
-
-      // Handle escape key
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && mobileNav.classList.contains('nav--open')) {
-          this.closeMobileNav(mobileNav, navToggle);
-        }
-      });
-    }
-  }
-
-  openMobileNav(mobileNav, navToggle) {
-    mobileNav.classList.add('nav--open');
-    navToggle.setAttribute('aria-expanded', 'true');
-    navToggle.innerHTML = '✕';
-    document.body.style.overflow = 'hidden';
-  }
-
-  closeMobileNav(mobileNav, navToggle) {
-    mobileNav.classList.remove('nav--open');
-    navToggle.setAttribute('aria-expanded', 'false');
-    navToggle.innerHTML = '☰';
-    document.body.style.overflow = '';
+  destroy() {
+    this.listeners.abort();
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+    document.querySelectorAll('.scroll-sentinel').forEach(marker => marker.remove());
+    this.components.destroy();
+    this.modals.destroy();
+    this.backToTopBtn?.remove();
+    this.backToTopBtn = null;
   }
 
   setupSmoothScrolling() {
@@ -113,18 +90,25 @@ class MainApp {
       if (href === '#') return;
 
       const target = document.querySelector(href);
-      if (!target) return;
+      // Links to a modal fall through to the hash, which ModalManager opens
+      if (!target || target.classList.contains('modal')) return;
 
       e.preventDefault();
 
+      // Links to a tab panel select the tab before scrolling to it
+      if (target.getAttribute('role') === 'tabpanel') {
+        const tab = document.getElementById(target.getAttribute('aria-labelledby'));
+        if (tab) this.selectTab(tab);
+      }
+
       const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
       const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight - 20;
 
       window.scrollTo({
         top: targetPosition,
-        behavior: 'smooth'
+        behavior: this.getScrollBehavior()
       });
-    });
+    }, { signal: this.listeners.signal });
   }
 
   setupBackToTop() {
@@ -138,9 +122,9 @@ class MainApp {
     backToTopBtn.addEventListener('click', () => {
       window.scrollTo({
         top: 0,
-        behavior: 'smooth'
+        behavior: this.getScrollBehavior()
       });
-    });
+    }, { signal: this.listeners.signal });
 
     this.backToTopBtn = backToTopBtn;
   }
@@ -159,277 +143,187 @@ class MainApp {
     });
   }
 
-  initializeTabs() {
-    const tabContainers = document.querySelectorAll('.tabs');
-    
-    tabContainers.forEach(container => {
-      const tabButtons = container.querySelectorAll('.tabs__btn');
-      const tabContents = container.querySelectorAll('.tabs__content');
-
-      tabButtons.forEach((btn, index) => {
-        btn.addEventListener('click', () => {
-          // Remove active class from all buttons and contents
-          tabButtons.forEach(b => b.classList.remove('tabs__btn--active'));
-          tabContents.forEach(c => c.classList.remove('tabs__content--active'));
-
-          // Add active class to clicked button and corresponding content
-          btn.classList.add('tabs__btn--active');
-          if (tabContents[index]) {
-            tabContents[index].classList.add('tabs__content--active');
-          }
-        });
-      });
-    });
+  // Jump instead of animating for visitors who ask for reduced motion
+  getScrollBehavior() {
+    return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth';
   }
 
-  initializeModals() {
-    // Modal triggers
-    document.addEventListener('click', (e) => {
-      const trigger = e.target.closest('[data-modal-trigger]');
-      if (trigger) {
-        e.preventDefault();
-        const modalId = trigger.getAttribute('data-modal-trigger');
-        this.openModal(modalId);
-      }
+  // Calls back with true once the page has scrolled past offset, and false when back above it
+  watchScrollOffset(offset, callback) {
+    const sentinel = document.createElement('div');
+    sentinel.className = 'scroll-sentinel';
+    sentinel.style.top = `${offset}px`;
+    sentinel.setAttribute('aria-hidden', 'true');
+    document.body.prepend(sentinel);
 
-      // Modal close
-      const closeBtn = e.target.closest('.modal__close, [data-modal-close]');
-      if (closeBtn) {
-        this.closeModal();
-      }
+    const observer = new IntersectionObserver(([entry]) => {
+      callback(!entry.isIntersecting && entry.boundingClientRect.top < 0);
     });
+    observer.observe(sentinel);
+    this.observers.push(observer);
+  }
 
-    // Close modal on backdrop click
-    document.addEventListener('click', (e) => {
-      if (e.target.classList.contains('modal')) {
-        this.closeModal();
-      }
+  setupScrollState() {
+    if (!('IntersectionObserver' in window)) return;
+
+    const header = document.querySelector('.header');
+
+    this.watchScrollOffset(200, isPast => {
+      this.backToTopBtn?.classList.toggle('back-to-top--visible', isPast);
     });
 
-    // Close modal on escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        this.closeModal();
+    if (!header) return;
+
+    this.watchScrollOffset(50, isPast => {
+      header.classList.toggle('header--scrolled', isPast);
+      if (!isPast) {
+        header.classList.remove('header--hidden');
       }
     });
+
+    this.setupHeaderAutoHide(header);
   }
 
-  openModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-      modal.classList.add('modal--active');
-      document.body.style.overflow = 'hidden';
-      
-      // Focus first focusable element
-      const focusableElements = modal.querySelectorAll(
-        'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-      );
-      if (focusableElements.length > 0) {
-        focusableElements[0].focus();
+  // Slides the header away while scrolling down and brings it back on any scroll up.
+  // One probe straddles the top of the viewport: when it moves, its top says which way the
+  // page went, and it is then laid back across the top edge ready for the next move.
+  setupHeaderAutoHide(header) {
+    const { signal } = this.listeners;
+    const step = 40;
+    const rest = -step / 2;
+    const probe = document.createElement('div');
+    probe.className = 'scroll-sentinel scroll-sentinel--probe';
+    probe.style.height = `${step}px`;
+    probe.setAttribute('aria-hidden', 'true');
+    document.body.prepend(probe);
+
+    const anchor = () => {
+      probe.style.top = `${window.scrollY + rest}px`;
+    };
+
+    // Fine thresholds so a move of a couple of pixels either way is reported
+    const threshold = Array.from({ length: 21 }, (_, i) => i / 20);
+    const observer = new IntersectionObserver(([entry]) => {
+      const top = Math.round(entry.boundingClientRect.top);
+      // Reports of the probe at rest (the first one, and each one after re-anchoring) carry no direction
+      if (top === rest) return;
+
+      if (top > rest) {
+        header.classList.remove('header--hidden');
+      } else if (header.classList.contains('header--scrolled') && !header.contains(document.activeElement)) {
+        header.classList.add('header--hidden');
       }
-    }
-  }
+      anchor();
+    }, { threshold });
 
-  closeModal() {
-    const activeModal = document.querySelector('.modal--active');
-    if (activeModal) {
-      activeModal.classList.remove('modal--active');
-      document.body.style.overflow = '';
-    }
+    anchor();
+    observer.observe(probe);
+    this.observers.push(observer);
+
+    // Keyboard users tabbing into a hidden header need to see it
+    header.addEventListener('focusin', () => {
+      header.classList.remove('header--hidden');
+    }, { signal });
   }
 
-  initializeLightbox() {
-    // Create lightbox if it doesn't exist
-    if (!document.querySelector('.lightbox')) {
-      this.createLightbox();
-    }
+  // Marks nav links to #sections on this page active as their section scrolls through the viewport
+  setupScrollSpy() {
+    if (!('IntersectionObserver' in window)) return;
 
-    // Handle lightbox triggers
-    document.addEventListener('click', (e) => {
-      const trigger = e.target.closest('[data-lightbox]');
-      if (trigger) {
-        e.preventDefault();
-        const imageSrc = trigger.getAttribute('data-lightbox') || trigger.src || trigger.href;
-        this.openLightbox(imageSrc);
-      }
-    });
-  }
+    const samePage = url => url.pathname.replace(/index\.html$/, '') === window.location.pathname.replace(/index\.html$/, '');
+    const targets = new Map();
 
-  createLightbox() {
-    const lightbox = document.createElement('div');
-    lightbox.className = 'lightbox';
-    lightbox.innerHTML = `
-      <div class="lightbox__content">
-        <img class="lightbox__image" src="" alt="">
-        <button class="lightbox__close" aria-label="Close lightbox">×</button>
-        <button class="lightbox__nav lightbox__nav--prev" aria-label="Previous image">‹</button>
-        <button class="lightbox__nav lightbox__nav--next" aria-label="Next image">›</button>
-      </div>
-    `;
-
-    document.body.appendChild(lightbox);
-
-    // Event listeners
-    const closeBtn = lightbox.querySelector('.lightbox__close');
-    const prevBtn = lightbox.querySelector('.lightbox__nav--prev');
-    const nextBtn = lightbox.querySelector('.lightbox__nav--next');
-
-    closeBtn.addEventListener('click', () => this.closeLightbox());
-    prevBtn.addEventListener('click', () => this.lightboxNav('prev'));
-    nextBtn.addEventListener('click', () => this.lightboxNav('next'));
-
-    // Close on backdrop click
-    lightbox.addEventListener('click', (e) => {
-      if (e.target === lightbox) {
-        this.closeLightbox();
-      }
-    });
+    document.querySelectorAll('.nav__link[href*="#"]').forEach(link => {
+      const url = new URL(link.href, window.location.href);
+      const section = url.hash.length > 1 && samePage(url)
+        ? document.getElementById(decodeURIComponent(url.hash.slice(1)))
+        : null;
 
-    // Keyboard navigation
-    document.addEventListener('keydown', (e) => {
-      if (!lightbox.classList.contains('lightbox--active')) return;
-
-      switch (e.key) {
-        case 'Escape':
-          this.closeLightbox();
-          break;
-        case 'ArrowLeft':
-          this.lightboxNav('prev');
-          break;
-        case 'ArrowRight':
-          this.lightboxNav('next');
-          break;
+      if (section) {
+        targets.set(section, [...(targets.get(section) || []), link]);
       }
     });
 
-    this.lightbox = lightbox;
-  }
+    if (!targets.size) return;
 
-  openLightbox(imageSrc) {
-    if (!this.lightbox) return;
+    // In document order, so the topmost visible section wins
+    const sections = Array.from(targets.keys()).sort((a, b) => {
+      return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+    const visible = new Set();
 
-    const image = this.lightbox.querySelector('.lightbox__image');
-    image.src = imageSrc;
-    this.lightbox.classList.add('lightbox--active');
-    document.body.style.overflow = 'hidden';
+    // A band across the upper part of the viewport, below the fixed header
+    const observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          visible.add(entry.target);
+        } else {
+          visible.delete(entry.target);
+        }
+      });
 
-    // Store current image for navigation
-    this.currentLightboxImages = Array.from(document.querySelectorAll('[data-lightbox]'))
-      .map(el => el.getAttribute('data-lightbox') || el.src || el.href);
-    this.currentLightboxIndex = this.currentLightboxImages.indexOf(imageSrc);
-  }
+      const active = sections.find(section => visible.has(section));
+      if (active) {
+        this.setActiveSection(active, targets);
+      }
+    }, { rootMargin: '-20% 0px -70% 0px' });
 
-  closeLightbox() {
-    if (this.lightbox) {
-      this.lightbox.classList.remove('lightbox--active');
-      document.body.style.overflow = '';
-    }
+    sections.forEach(section => observer.observe(section));
+    this.observers.push(observer);
   }
 
-  lightboxNav(direction) {
-    if (!this.currentLightboxImages || this.currentLightboxImages.length <= 1) return;
-
-    if (direction === 'next') {
-      this.currentLightboxIndex = (this.currentLightboxIndex + 1) % this.currentLightboxImages.length;
-    } else {
-      this.currentLightboxIndex = this.currentLightboxIndex === 0 
-        ? this.currentLightboxImages.length - 1 
-        : this.currentLightboxIndex - 1;
-    }
-
-    const newImageSrc = this.currentLightboxImages[this.currentLightboxIndex];
-    const image = this.lightbox.querySelector('.lightbox__image');
-    image.src = newImageSrc;
+  setActiveSection(section, targets) {
+    targets.forEach((links, target) => {
+      links.forEach(link => {
+        const isActive = target === section;
+        link.classList.toggle('nav__link--active', isActive);
+        if (isActive) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+    });
   }
 
-  initializeLazyLoading() {
-    const images = document.querySelectorAll('img[data-src]');
-    
-    if ('IntersectionObserver' in window) {
-      const imageObserver = new IntersectionObserver((entries, observer) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            const img = entry.target;
-            img.src = img.dataset.src;
-            img.classList.remove('lazy');
-            imageObserver.unobserve(img);
-          }
-        });
-      });
+  selectTab(tab, options) {
+    this.components.get(tab.closest('.tabs'), 'tabs')?.select(tab, options);
+  }
 
-      images.forEach(img => imageObserver.observe(img));
-    } else {
-      // Fallback for browsers without IntersectionObserver
-      images.forEach(img => {
-        img.src = img.dataset.src;
-        img.classList.remove('lazy');
-      });
-    }
+  openModal(modalId, options) {
+    return this.modals.open(modalId, options);
   }
 
-  onScroll() {
-    // Back to top button visibility
-    if (this.backToTopBtn) {
-      if (window.pageYOffset > 200) {
-        this.backToTopBtn.classList.add('back-to-top--visible');
-      } else {
-        this.backToTopBtn.classList.remove('back-to-top--visible');
-      }
-    }
+  closeModal(modal) {
+    this.modals.close(modal);
+  }
 
-    // Header background on scroll
-    const header = document.querySelector('.header');
-    if (header) {
-      if (window.pageYOffset > 50) {
-        header.style.backgroundColor = 'rgba(255, 255, 255, 0.98)';
-        if (document.documentElement.classList.contains('theme--dark')) {
-          header.style.backgroundColor = 'rgba(17, 24, 39, 0.98)';
-        }
-      } else {
-        header.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
-        if (document.documentElement.classList.contains('theme--dark')) {
-          header.style.backgroundColor = 'rgba(17, 24, 39, 0.95)';
-        }
-      }
-    }
+  getLightbox(trigger) {
+    return this.components.get(trigger.closest('[data-component~="lightbox"]'), 'lightbox');
   }
 
-  onResize() {
-    // Close mobile nav on resize
-    const mobileNav = document.querySelector('.nav--mobile');
-    const navToggle = document.querySelector('.nav-toggle');
-    
-    if (mobileNav && navToggle && window.innerWidth >= 768) {
-      this.closeMobileNav(mobileNav, navToggle);
-    }
+  openLightbox(trigger) {
+    this.getLightbox(trigger)?.open(trigger);
   }
 
-  // Utility functions
-  throttle(func, limit) {
-    let inThrottle;
-    return function() {
-      const args = arguments;
-      const context = this;
-      if (!inThrottle) {
-        func.apply(context, args);
-        inThrottle = true;
-        setTimeout(() => inThrottle = false, limit);
-      }
-    };
+  closeLightbox() {
+    document.querySelectorAll('[data-component~="lightbox"]').forEach(root => {
+      this.components.get(root, 'lightbox')?.close();
+    });
   }
 
-  debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
+  onThemeChange() {
+    // Match the browser UI (mobile address bar) to the active theme
+    let meta = document.querySelector('meta[name="theme-color"]');
+    if (!meta) {
+      meta = document.createElement('meta');
+      meta.name = 'theme-color';
+      document.head.appendChild(meta);
+    }
+
+    const background = getComputedStyle(document.documentElement).getPropertyValue('--color-bg-primary').trim();
+    if (background) {
+      meta.content = background;
+    }
   }
 }
-
-// Initialize the app
-const app = new MainApp();
\ No newline at end of file
@@ -0,0 +1,320 @@
+/**
+ * Future Gadget Expo 2025 - Modal Manager
+ * Accessible, stackable dialogs with focus trapping, focus return and scroll locking.
+ * Modals with an id are deep-linkable: opening one pushes #id onto the history.
+ */
+
+export class ModalManager {
+  constructor() {
+    this.stack = [];
+    this.scrollLocks = 0;
+    this.isRewindingHistory = false;
+    this.listeners = new AbortController();
+    this.init();
+  }
+
+  static get shared() {
+    if (!ModalManager.instance) {
+      ModalManager.instance = new ModalManager();
+    }
+    return ModalManager.instance;
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.setupHistory();
+  }
+
+  destroy() {
+    if (this.stack.length > 0) {
+      this.close(this.stack[0].modal, { updateHistory: false });
+    }
+    this.listeners.abort();
+
+    if (ModalManager.instance === this) {
+      ModalManager.instance = null;
+    }
+  }
+
+  setupEventListeners() {
+    const { signal } = this.listeners;
+
+    document.addEventListener('click', (e) => {
+      // Modal triggers
+      const trigger = e.target.closest('[data-modal-trigger]');
+      if (trigger) {
+        e.preventDefault();
+        this.open(trigger.getAttribute('data-modal-trigger'), { trigger });
+        return;
+      }
+
+      // Modal close buttons close the dialog they belong to
+      const closeBtn = e.target.closest('.modal__close, [data-modal-close]');
+      if (closeBtn) {
+        this.close(closeBtn.closest('.modal') || undefined);
+        return;
+      }
+
+      // Backdrop click closes the topmost modal only
+      if (e.target === this.top) {
+        this.close();
+      }
+    }, { signal });
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.top) return;
+
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e);
+      }
+    }, { signal });
+
+    // Focus that lands behind the topmost modal is pulled back in
+    document.addEventListener('focusin', (e) => {
+      if (this.top && !this.top.contains(e.target)) {
+        this.focusFirst(this.top);
+      }
+    }, { signal });
+  }
+
+  setupHistory() {
+    const { signal } = this.listeners;
+
+    window.addEventListener('popstate', () => this.onHistoryChange(), { signal });
+    // Plain links to #modal-id navigate without a popstate
+    window.addEventListener('hashchange', () => this.syncWithLocation(), { signal });
+
+    // Open the modal named in the URL on page load
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.syncWithLocation({ isInitialLoad: true }), { signal });
+    } else {
+      this.syncWithLocation({ isInitialLoad: true });
+    }
+  }
+
+  onHistoryChange() {
+    if (this.isRewindingHistory) {
+      // Our own history.go() after closing: drop a hash left over from page load
+      this.isRewindingHistory = false;
+      const linked = this.getLinkedModal();
+      if (linked && !this.isOpen(linked)) {
+        history.replaceState(history.state, '', location.pathname + location.search);
+      }
+      return;
+    }
+
+    this.syncWithLocation();
+  }
+
+  syncWithLocation({ isInitialLoad = false } = {}) {
+    const linked = this.getLinkedModal();
+
+    // Back/Forward away from a modal closes it, topmost first
+    [...this.stack].reverse().forEach(({ modal }) => {
+      if (modal !== linked && this.isLinkable(modal) && this.isOpen(modal)) {
+        this.close(modal, { updateHistory: false });
+      }
+    });
+
+    if (linked && !this.isOpen(linked)) {
+      this.open(linked, { trigger: null, updateHistory: false });
+      // Only a page load has no entry of ours to go back to
+      this.stack[this.stack.length - 1].hasHistoryEntry = !isInitialLoad;
+    }
+  }
+
+  isLinkable(modal) {
+    return Boolean(modal.id) && modal.classList.contains('modal') && !modal.hasAttribute('data-no-history');
+  }
+
+  getLinkedModal() {
+    const id = decodeURIComponent(location.hash.slice(1));
+    const modal = id && document.getElementById(id);
+    return modal && this.isLinkable(modal) ? modal : null;
+  }
+
+  get top() {
+    return this.stack.length > 0 ? this.stack[this.stack.length - 1].modal : null;
+  }
+
+  isOpen(modal) {
+    return this.stack.some(entry => entry.modal === modal);
+  }
+
+  open(modalOrId, { trigger = document.activeElement, updateHistory = true } = {}) {
+    const modal = typeof modalOrId === 'string' ? document.getElementById(modalOrId) : modalOrId;
+    if (!modal || this.isOpen(modal)) return null;
+
+    this.prepareDialog(modal);
+
+    const hasHistoryEntry = updateHistory && this.isLinkable(modal) && location.hash !== `#${modal.id}`;
+    if (hasHistoryEntry) {
+      history.pushState({ modal: modal.id }, '', `#${modal.id}`);
+    }
+    this.stack.push({ modal, trigger, hasHistoryEntry });
+
+    modal.style.setProperty('--modal-depth', this.stack.length - 1);
+    modal.classList.add('modal--active');
+    modal.removeAttribute('aria-hidden');
+    this.lockScroll();
+    this.focusFirst(modal);
+
+    this.dispatch(modal, 'modalopen', trigger);
+    return modal;
+  }
+
+  close(modal = this.top, { updateHistory = true } = {}) {
+    const index = this.stack.findIndex(entry => entry.modal === modal);
+    if (index === -1) return;
+
+    // Closing a modal also closes anything opened on top of it
+    const closing = this.stack.splice(index).reverse();
+    let historySteps = 0;
+    let clearHash = false;
+
+    closing.forEach(entry => {
+      this.hide(entry);
+      if (entry.hasHistoryEntry) {
+        historySteps += 1;
+      } else if (location.hash === `#${entry.modal.id}`) {
+        clearHash = true;
+      }
+    });
+
+    if (!updateHistory) return;
+
+    // Step back over our own entries so Back doesn't reopen what was just closed
+    if (historySteps > 0) {
+      this.isRewindingHistory = true;
+      history.go(-historySteps);
+    } else if (clearHash) {
+      history.replaceState(history.state, '', location.pathname + location.search);
+    }
+  }
+
+  hide({ modal, trigger }) {
+    modal.classList.remove('modal--active');
+    modal.setAttribute('aria-hidden', 'true');
+    modal.style.removeProperty('--modal-depth');
+    this.unlockScroll();
+
+    if (trigger && trigger.isConnected && typeof trigger.focus === 'function') {
+      trigger.focus();
+    }
+
+    this.dispatch(modal, 'modalclose', trigger);
+  }
+
+  closeAll() {
+    if (this.stack.length > 0) {
+      this.close(this.stack[0].modal);
+    }
+  }
+
+  prepareDialog(modal) {
+    const dialog = modal.querySelector('.modal__content') || modal;
+
+    if (!dialog.hasAttribute('role')) {
+      dialog.setAttribute('role', 'dialog');
+    }
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('tabindex', '-1');
+
+    if (!dialog.hasAttribute('aria-labelledby') && !dialog.hasAttribute('aria-label')) {
+      const heading = dialog.querySelector('h1, h2, h3');
+      if (heading) {
+        heading.id = heading.id || (modal.id ? `${modal.id}-title` : `modal-title-${this.stack.length}`);
+        dialog.setAttribute('aria-labelledby', heading.id);
+      }
+    }
+
+    modal.querySelectorAll('.modal__close:not([aria-label])').forEach(button => {
+      button.setAttribute('aria-label', 'Close dialog');
+    });
+  }
+
+  getFocusableElements(modal) {
+    return Array.from(modal.querySelectorAll(ModalManager.focusableSelector))
+      .filter(element => !element.closest('[hidden], [inert]') && element.getClientRects().length > 0);
+  }
+
+  focusFirst(modal) {
+    const target = modal.querySelector('[autofocus]') ||
+      this.getFocusableElements(modal).find(element => !element.matches('.modal__close')) ||
+      modal.querySelector('[aria-modal="true"]') ||
+      modal;
+    target.focus();
+  }
+
+  trapFocus(e) {
+    const focusable = this.getFocusableElements(this.top);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || !this.top.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Shared with the lightbox and mobile navigation, so each caller holds one lock
+  lockScroll() {
+    this.scrollLocks += 1;
+    document.body.classList.add('scroll-locked');
+  }
+
+  unlockScroll() {
+    this.scrollLocks = Math.max(0, this.scrollLocks - 1);
+    if (this.scrollLocks === 0) {
+      document.body.classList.remove('scroll-locked');
+    }
+  }
+
+  dispatch(modal, type, trigger) {
+    modal.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      detail: { id: modal.id, trigger, depth: this.stack.length }
+    }));
+  }
+}
+
+ModalManager.focusableSelector = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// data-component="modal": keeps closed dialogs out of the accessibility tree,
+// and releases focus and the scroll lock if an open one is removed from the page
+export class Modal {
+  constructor(element, { app } = {}) {
+    this.element = element;
+    this.modals = app?.modals || ModalManager.shared;
+  }
+
+  mount() {
+    if (!this.element.classList.contains('modal--active')) {
+      this.element.setAttribute('aria-hidden', 'true');
+    }
+  }
+
+  unmount() {
+    if (this.modals.isOpen(this.element)) {
+      this.modals.close(this.element);
+    }
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Future Gadget Expo 2025 - Navigation Drawer
+ * Mobile navigation drawer (data-component="nav-drawer") opened by the button whose aria-controls names it.
+ * While open it traps focus, makes the rest of the page inert and locks scrolling; it closes on Escape,
+ * an outside click, a followed link, a swipe back or when the viewport reaches the desktop breakpoint.
+ * Items with a nested .nav__submenu get a button that expands and collapses it.
+ */
+
+import { ModalManager } from './modal-manager.js';
+
+export class NavDrawer {
+  constructor(element, { app } = {}) {
+    this.element = element;
+    this.modals = app?.modals || ModalManager.shared;
+    this.toggle = element.id ? document.querySelector(`[aria-controls="${element.id}"]`) : null;
+    this.listeners = null;
+    this.breakpoint = null;
+    this.inerted = [];
+    this.touchStart = null;
+  }
+
+  mount() {
+    if (!this.toggle) return;
+
+    this.listeners = new AbortController();
+    const { signal } = this.listeners;
+
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.setupSubmenus();
+
+    this.toggle.addEventListener('click', () => {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    }, { signal });
+
+    this.element.addEventListener('click', (e) => {
+      const submenuToggle = e.target.closest('.nav__submenu-toggle');
+      if (submenuToggle) {
+        this.toggleSubmenu(submenuToggle);
+      } else if (e.target.closest('.nav__link')) {
+        this.close({ returnFocus: false });
+      }
+    }, { signal });
+
+    document.addEventListener('click', (e) => {
+      if (this.isOpen && !this.element.contains(e.target) && !this.toggle.contains(e.target)) {
+        this.close({ returnFocus: false });
+      }
+    }, { signal });
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen) return;
+
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e);
+      }
+    }, { signal });
+
+    this.setupSwipe();
+
+    // The drawer only exists below the breakpoint the stylesheet switches layouts at
+    const breakpoint = NavDrawer.getBreakpoint();
+    this.breakpoint = breakpoint ? window.matchMedia?.(`(min-width: ${breakpoint})`) || null : null;
+    this.breakpoint?.addEventListener('change', (e) => {
+      if (e.matches) {
+        this.close({ returnFocus: false });
+      }
+    }, { signal });
+  }
+
+  unmount() {
+    this.close({ returnFocus: false });
+    this.listeners?.abort();
+    this.listeners = null;
+  }
+
+  get isOpen() {
+    return this.element.classList.contains('nav--open');
+  }
+
+  open() {
+    if (this.isOpen) return;
+
+    this.element.classList.add('nav--open');
+    this.toggle.setAttribute('aria-expanded', 'true');
+    this.modals.lockScroll();
+    this.setBackgroundInert(true);
+
+    this.getFocusableElements().find(element => element !== this.toggle)?.focus();
+  }
+
+  close({ returnFocus = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.element.classList.remove('nav--open');
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.modals.unlockScroll();
+    this.setBackgroundInert(false);
+
+    if (returnFocus) {
+      this.toggle.focus();
+    }
+  }
+
+  // Everything outside the drawer and its toggle, found by walking up from both to <body>
+  getBackground() {
+    const keep = [this.element, this.toggle];
+    const background = new Set();
+
+    keep.forEach(node => {
+      for (let element = node; element.parentElement && element !== document.body; element = element.parentElement) {
+        Array.from(element.parentElement.children).forEach(sibling => {
+          if (!keep.some(kept => sibling.contains(kept))) {
+            background.add(sibling);
+          }
+        });
+      }
+    });
+
+    return Array.from(background);
+  }
+
+  setBackgroundInert(inert) {
+    if (inert) {
+      // Leave elements that were already inert to whoever made them so
+      this.inerted = this.getBackground().filter(element => !element.hasAttribute('inert'));
+      this.inerted.forEach(element => element.setAttribute('inert', ''));
+    } else {
+      this.inerted.forEach(element => element.removeAttribute('inert'));
+      this.inerted = [];
+    }
+  }
+
+  getFocusableElements() {
+    const items = Array.from(this.element.querySelectorAll(ModalManager.focusableSelector))
+      .filter(element => !element.closest('[hidden], [inert]'));
+    return [this.toggle, ...items];
+  }
+
+  // Tab cycles between the toggle and the drawer's links
+  trapFocus(e) {
+    const focusable = this.getFocusableElements();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const isInside = focusable.includes(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !isInside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !isInside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  setupSwipe() {
+    const { signal } = this.listeners;
+
+    this.element.addEventListener('touchstart', (e) => {
+      const touch = e.touches[0];
+      this.touchStart = { x: touch.clientX, y: touch.clientY };
+    }, { passive: true, signal });
+
+    this.element.addEventListener('touchend', (e) => {
+      if (!this.touchStart) return;
+
+      const touch = e.changedTouches[0];
+      const dx = touch.clientX - this.touchStart.x;
+      const dy = touch.clientY - this.touchStart.y;
+      this.touchStart = null;
+
+      // A mostly horizontal swipe back towards the edge the drawer slides in from
+      if (dx < -NavDrawer.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+        this.close({ returnFocus: false });
+      }
+    }, { passive: true, signal });
+  }
+
+  setupSubmenus() {
+    this.element.querySelectorAll('.nav__submenu').forEach(submenu => {
+      const item = submenu.closest('.nav__item');
+      const link = item?.querySelector('.nav__link');
+      if (!item || item.querySelector(':scope > .nav__submenu-toggle')) return;
+
+      NavDrawer.count += 1;
+      submenu.id = submenu.id || `nav-submenu-${NavDrawer.count}`;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'nav__submenu-toggle';
+      button.setAttribute('aria-controls', submenu.id);
+      button.setAttribute('aria-label', link ? `${link.textContent.trim()} pages` : 'More pages');
+      submenu.before(button);
+
+      item.classList.add('nav__item--has-submenu');
+      // Start with the section of the current page expanded
+      this.setSubmenuExpanded(button, Boolean(submenu.querySelector('.nav__link--active')));
+    });
+  }
+
+  toggleSubmenu(button) {
+    this.setSubmenuExpanded(button, button.getAttribute('aria-expanded') !== 'true');
+  }
+
+  setSubmenuExpanded(button, expanded) {
+    const submenu = document.getElementById(button.getAttribute('aria-controls'));
+    button.setAttribute('aria-expanded', String(expanded));
+    if (submenu) {
+      submenu.hidden = !expanded;
+    }
+  }
+
+  // Only ever read from the stylesheet, so the breakpoint is defined in one place; null without one
+  static getBreakpoint() {
+    return getComputedStyle(document.documentElement).getPropertyValue('--nav-breakpoint').trim() || null;
+  }
+}
+
+NavDrawer.count = 0;
+NavDrawer.swipeThreshold = 60;
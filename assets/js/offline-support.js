@@ -0,0 +1,105 @@
+/**
+ * Future Gadget Expo 2025 - Offline Support
+ * Registers the service worker and offers a reload when a new version of the site has been cached
+ */
+
+export class OfflineSupport {
+  constructor({ url = `${import.meta.env.BASE_URL}sw.js` } = {}) {
+    this.url = url;
+    this.registration = null;
+    this.prompt = null;
+    this.reloading = false;
+  }
+
+  register() {
+    if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      // Only reload the tab that asked for it; other tabs keep their prompt
+      if (this.reloading) {
+        window.location.reload();
+      }
+    });
+
+    return this.whenLoaded()
+      .then(() => navigator.serviceWorker.register(this.url))
+      .then(registration => {
+        this.registration = registration;
+        this.watchForUpdates(registration);
+        return registration;
+      })
+      .catch(error => {
+        console.error('Service worker registration failed', error);
+        return null;
+      });
+  }
+
+  // Registering after load keeps precaching from competing with the first page view
+  whenLoaded() {
+    if (document.readyState === 'complete') return Promise.resolve();
+    return new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+  }
+
+  watchForUpdates(registration) {
+    // A worker can already be waiting from an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.showPrompt();
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.showPrompt();
+        }
+      });
+    });
+
+    // Tabs left open all day still learn about new deploys
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        registration.update().catch(() => {});
+      }
+    });
+  }
+
+  showPrompt() {
+    if (this.prompt) return;
+
+    this.prompt = document.createElement('div');
+    this.prompt.className = 'update-toast';
+    this.prompt.setAttribute('role', 'status');
+    this.prompt.innerHTML = `
+      <p class="update-toast__message">A new version of this site is available.</p>
+      <button type="button" class="btn btn--primary update-toast__reload">Reload</button>
+      <button type="button" class="update-toast__dismiss" aria-label="Dismiss">✕</button>
+    `;
+
+    this.prompt.querySelector('.update-toast__reload').addEventListener('click', () => this.reload());
+    this.prompt.querySelector('.update-toast__dismiss').addEventListener('click', () => this.hidePrompt());
+
+    document.body.appendChild(this.prompt);
+  }
+
+  hidePrompt() {
+    this.prompt?.remove();
+    this.prompt = null;
+  }
+
+  reload() {
+    const waiting = this.registration?.waiting;
+
+    // Another tab may have activated the new worker already
+    if (!waiting) {
+      window.location.reload();
+      return;
+    }
+
+    this.reloading = true;
+    this.prompt.querySelector('.update-toast__reload').disabled = true;
+    waiting.postMessage({ type: 'SKIP_WAITING' });
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Future Gadget Expo 2025 - Personal Agenda
+ * Starred sessions, overlap detection and iCalendar (RFC 5545) export
+ */
+
+export class PersonalAgenda {
+  constructor(storageKey = 'fge-agenda') {
+    this.storageKey = storageKey;
+  }
+
+  ids() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return new Set(Array.isArray(stored) ? stored : []);
+    } catch (error) {
+      return new Set();
+    }
+  }
+
+  has(id) {
+    return this.ids().has(id);
+  }
+
+  // Returns whether the session is starred afterwards
+  toggle(id) {
+    const ids = this.ids();
+    const isStarred = !ids.has(id);
+
+    if (isStarred) {
+      ids.add(id);
+    } else {
+      ids.delete(id);
+    }
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify([...ids]));
+    } catch (error) {
+      console.warn('Could not save agenda', error);
+    }
+
+    return isStarred;
+  }
+
+  /**
+   * Maps each session id to the ids of sessions it overlaps with.
+   * Sessions need { id, date, start, end }; back-to-back sessions don't overlap.
+   */
+  static findConflicts(sessions) {
+    const conflicts = new Map();
+
+    sessions.forEach((session, index) => {
+      sessions.slice(index + 1).forEach(other => {
+        const overlaps = session.date === other.date &&
+          session.start < other.end && other.start < session.end;
+        if (!overlaps) return;
+
+        conflicts.set(session.id, [...(conflicts.get(session.id) || []), other.id]);
+        conflicts.set(other.id, [...(conflicts.get(other.id) || []), session.id]);
+      });
+    });
+
+    return conflicts;
+  }
+
+  static toICS(agenda, sessions, { now = new Date() } = {}) {
+    const escape = text => String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Future Gadget Expo//Agenda 2025//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escape(`${agenda.event} - My Agenda`)}`
+    ];
+
+    sessions.forEach(session => {
+      // Agenda times are wall-clock times at the venue; UTC keeps every calendar app in agreement
+      const start = PersonalAgenda.zonedTimeToUtc(session.date, session.start, agenda.timezone);
+      const end = PersonalAgenda.zonedTimeToUtc(session.date, session.end, agenda.timezone);
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${session.id}@futuregadgetexpo.com`,
+        `DTSTAMP:${PersonalAgenda.formatUtc(now)}`,
+        `DTSTART:${PersonalAgenda.formatUtc(start)}`,
+        `DTEND:${PersonalAgenda.formatUtc(end)}`,
+        `SUMMARY:${escape(session.title)}`,
+        `LOCATION:${escape([session.room, agenda.venue].filter(Boolean).join(', '))}`,
+        `DESCRIPTION:${escape(session.description)}`
+      );
+
+      if (session.trackName) {
+        lines.push(`CATEGORIES:${escape(session.trackName)}`);
+      }
+
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(PersonalAgenda.foldLine).join('\r\n') + '\r\n';
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+  static foldLine(line) {
+    const utf8Length = char => {
+      const codePoint = char.codePointAt(0);
+      if (codePoint < 0x80) return 1;
+      if (codePoint < 0x800) return 2;
+      return codePoint < 0x10000 ? 3 : 4;
+    };
+
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74;
+      if (octets + utf8Length(char) > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += utf8Length(char);
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  static formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Converts a wall-clock date and time in an IANA time zone to the matching instant
+  static zonedTimeToUtc(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    let instant = wallClock - PersonalAgenda.getOffset(wallClock, timeZone);
+    // A second pass settles instants near a DST change
+    instant = wallClock - PersonalAgenda.getOffset(instant, timeZone);
+
+    return new Date(instant);
+  }
+
+  static getOffset(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(timestamp));
+
+    const value = type => Number(parts.find(part => part.type === type).value);
+    const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+  }
+}
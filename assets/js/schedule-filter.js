@@ -0,0 +1,256 @@
+/**
+ * Future Gadget Expo 2025 - Schedule Filter
+ * Track, room and speaker filters plus a live "Now / Up next" mode for the schedule
+ */
+
+import { formatTime } from './agenda-time.js';
+
+export class ScheduleFilter {
+  /**
+   * @param {import('./schedule.js').Schedule} schedule - a rendered schedule
+   * @param {{ clock?: () => Date }} options - clock is injectable so "now" can be tested
+   */
+  constructor(schedule, { clock = () => new Date() } = {}) {
+    this.schedule = schedule;
+    this.clock = clock;
+    this.criteria = { track: '', room: '', speaker: '' };
+    this.isLive = false;
+    this.timer = null;
+    this.highlighted = null;
+    this.init();
+  }
+
+  init() {
+    this.element = this.createControls();
+    this.schedule.root.prepend(this.element);
+    this.setupEventListeners();
+    this.apply();
+  }
+
+  createControls() {
+    const { agenda, sessions } = this.schedule;
+    const element = document.createElement('div');
+    element.className = 'schedule-filters';
+
+    const rooms = [...new Set([...sessions.values()].map(session => session.room))].sort();
+    const speakerIds = [...new Set([...sessions.values()].flatMap(session => session.speakers))]
+      .sort((a, b) => agenda.speakers[a].name.localeCompare(agenda.speakers[b].name));
+
+    element.append(
+      this.createSelect('track', 'Track', 'All tracks', Object.entries(agenda.tracks)),
+      this.createSelect('room', 'Room', 'All rooms', rooms.map(room => [room, room])),
+      this.createSelect('speaker', 'Speaker', 'All speakers', speakerIds.map(id => [id, agenda.speakers[id].name]))
+    );
+
+    this.liveButton = document.createElement('button');
+    this.liveButton.type = 'button';
+    this.liveButton.className = 'btn btn--secondary btn--sm schedule-filters__live';
+    this.liveButton.textContent = 'Now / Up next';
+    this.liveButton.setAttribute('aria-pressed', 'false');
+
+    this.status = document.createElement('p');
+    this.status.className = 'schedule-filters__status';
+    this.status.setAttribute('aria-live', 'polite');
+
+    element.append(this.liveButton, this.status);
+    return element;
+  }
+
+  createSelect(name, label, allLabel, options) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'schedule-filters__field';
+
+    const select = document.createElement('select');
+    select.className = 'form__select';
+    select.setAttribute('data-schedule-filter', name);
+    [['', allLabel], ...options].forEach(([value, text]) => {
+      select.appendChild(new Option(text, value));
+    });
+
+    const text = document.createElement('span');
+    text.textContent = label;
+    wrapper.append(text, select);
+    return wrapper;
+  }
+
+  setupEventListeners() {
+    this.element.addEventListener('change', (e) => {
+      const name = e.target.getAttribute('data-schedule-filter');
+      if (!name) return;
+
+      this.criteria[name] = e.target.value;
+      this.apply();
+    });
+
+    this.liveButton.addEventListener('click', () => {
+      this.setLive(!this.isLive);
+    });
+  }
+
+  matches(session) {
+    const { track, room, speaker } = this.criteria;
+    return (!track || session.track === track) &&
+      (!room || session.room === room) &&
+      (!speaker || session.speakers.includes(speaker));
+  }
+
+  apply() {
+    let visibleCount = 0;
+
+    this.schedule.agenda.days.forEach(day => {
+      const panel = this.schedule.root.querySelector(`#${CSS.escape(day.id)}`);
+      let dayCount = 0;
+
+      panel.querySelectorAll('.schedule-item[data-session-id]').forEach(item => {
+        const isMatch = this.matches(this.schedule.sessions.get(item.getAttribute('data-session-id')));
+        item.hidden = !isMatch;
+        if (isMatch) dayCount += 1;
+      });
+
+      let empty = panel.querySelector('.schedule-filters__empty');
+      if (!empty) {
+        empty = document.createElement('p');
+        empty.className = 'schedule__status schedule-filters__empty';
+        empty.textContent = 'No sessions on this day match your filters.';
+        panel.appendChild(empty);
+      }
+      empty.hidden = dayCount > 0;
+      visibleCount += dayCount;
+    });
+
+    this.visibleCount = visibleCount;
+
+    // Live mode re-picks Now / Up next from the sessions that still match
+    if (this.isLive) {
+      this.updateNow();
+    } else {
+      this.renderStatus();
+    }
+  }
+
+  setLive(isLive) {
+    this.isLive = isLive;
+    this.liveButton.setAttribute('aria-pressed', String(isLive));
+    this.liveButton.classList.toggle('btn--primary', isLive);
+    this.liveButton.classList.toggle('btn--secondary', !isLive);
+
+    clearTimeout(this.timer);
+    this.highlighted = null;
+
+    if (isLive) {
+      this.updateNow();
+    } else {
+      this.clearHighlights();
+      this.renderStatus();
+    }
+  }
+
+  destroy() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Finds the running and next sessions for the clock's current time at the venue.
+   * Returns { current: [...], next: [...] }; both empty once the event is over.
+   */
+  getTimeline(date = this.clock()) {
+    const { date: today, time } = ScheduleFilter.toZonedParts(date, this.schedule.agenda.timezone);
+    const sessions = [...this.schedule.sessions.values()].filter(session => this.matches(session));
+
+    const current = sessions.filter(session => session.date === today && session.start <= time && time < session.end);
+    const upcoming = sessions
+      .filter(session => session.date > today || (session.date === today && session.start > time))
+      .sort((a, b) => `${a.date}T${a.start}`.localeCompare(`${b.date}T${b.start}`));
+    const next = upcoming.filter(session => session.date === upcoming[0]?.date && session.start === upcoming[0]?.start);
+
+    return { current, next };
+  }
+
+  updateNow() {
+    if (!this.isLive) return;
+
+    const { current, next } = this.getTimeline();
+    this.clearHighlights();
+    current.forEach(session => this.highlight(session, 'now', 'Now'));
+    next.forEach(session => this.highlight(session, 'next', 'Up next'));
+
+    // Only jump when the focus session changes, not on every tick
+    const focus = current[0] || next[0];
+    if (focus && focus.id !== this.highlighted) {
+      this.highlighted = focus.id;
+      this.schedule.showSession(focus.id);
+    }
+
+    this.renderStatus({ current, next });
+    this.scheduleTick();
+  }
+
+  // Re-run on the next minute boundary of the injected clock
+  scheduleTick() {
+    clearTimeout(this.timer);
+    const now = this.clock();
+    const delay = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+    this.timer = setTimeout(() => this.updateNow(), delay);
+  }
+
+  highlight(session, state, label) {
+    const item = this.schedule.root.querySelector(`#session-${CSS.escape(session.id)}`);
+    if (!item) return;
+
+    item.classList.add(`schedule-item--${state}`);
+    const badge = document.createElement('span');
+    badge.className = `schedule-badge schedule-badge--${state}`;
+    badge.textContent = label;
+    item.querySelector('.schedule-time').appendChild(badge);
+  }
+
+  clearHighlights() {
+    this.schedule.root.querySelectorAll('.schedule-item--now, .schedule-item--next').forEach(item => {
+      item.classList.remove('schedule-item--now', 'schedule-item--next');
+    });
+    this.schedule.root.querySelectorAll('.schedule-badge').forEach(badge => badge.remove());
+  }
+
+  renderStatus(timeline = null) {
+    const total = this.schedule.sessions.size;
+    const parts = [this.visibleCount === total
+      ? `Showing all ${total} sessions`
+      : `Showing ${this.visibleCount} of ${total} sessions`];
+
+    if (timeline) {
+      const describe = sessions => sessions.map(session => `${session.title} (${session.room})`).join(', ');
+
+      if (timeline.current.length > 0) {
+        parts.push(`Happening now: ${describe(timeline.current)}`);
+      }
+      if (timeline.next.length > 0) {
+        parts.push(`Up next at ${formatTime(timeline.next[0].start)}: ${describe(timeline.next)}`);
+      }
+      if (timeline.current.length === 0 && timeline.next.length === 0) {
+        parts.push('The expo has wrapped up. See you next year!');
+      }
+    }
+
+    this.status.textContent = parts.join(' · ');
+  }
+
+  // Wall-clock date ("2025-03-15") and time ("09:30") in the given IANA time zone
+  static toZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(date);
+
+    const value = type => parts.find(part => part.type === type).value;
+    return {
+      date: `${value('year')}-${value('month')}-${value('day')}`,
+      time: `${value('hour')}:${value('minute')}`
+    };
+  }
+}
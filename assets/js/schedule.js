@@ -0,0 +1,455 @@
+/**
+ * Future Gadget Expo 2025 - Schedule
+ * Renders the day tabs and sessions from the JSON agenda, plus the attendee's starred "My Agenda"
+ */
+
+import { formatTime } from './agenda-time.js';
+import { PersonalAgenda } from './personal-agenda.js';
+import { ScheduleFilter } from './schedule-filter.js';
+
+export class Schedule {
+  constructor(root, { app, clock } = {}) {
+    this.root = root;
+    this.app = app;
+    this.clock = clock;
+    this.src = root.getAttribute('data-schedule-src');
+    this.agenda = null;
+    this.sessions = new Map();
+    this.dayButtons = new Map();
+    this.personalAgenda = new PersonalAgenda();
+    this.listeners = null;
+    this.ready = null;
+  }
+
+  mount() {
+    this.listeners = new AbortController();
+    window.addEventListener('hashchange', () => this.showSessionFromHash(), { signal: this.listeners.signal });
+    this.ready = this.init();
+  }
+
+  unmount() {
+    this.listeners?.abort();
+    this.listeners = null;
+    this.filter?.destroy();
+  }
+
+  async init() {
+    try {
+      const agenda = await this.load();
+      const errors = Schedule.validate(agenda);
+
+      if (errors.length > 0) {
+        throw new ScheduleDataError(errors);
+      }
+
+      // Unmounted while the agenda was loading
+      if (!this.listeners) return;
+
+      this.agenda = agenda;
+      this.render();
+      this.root.dispatchEvent(new CustomEvent('scheduleready', { bubbles: true, detail: { agenda } }));
+    } catch (error) {
+      console.error('Schedule could not be loaded', error);
+      this.renderError();
+    }
+  }
+
+  async load() {
+    const response = await fetch(this.src, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Agenda request failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  render() {
+    this.agenda.days.forEach(day => {
+      day.sessions.forEach(session => {
+        this.sessions.set(session.id, { ...session, date: day.date, trackName: this.agenda.tracks[session.track] });
+      });
+    });
+
+    const tabs = this.createElement('div', 'tabs');
+    tabs.setAttribute('data-component', 'tabs');
+    const nav = this.createElement('div', 'tabs__nav');
+    tabs.appendChild(nav);
+
+    this.agenda.days.forEach((day, index) => {
+      const button = this.createElement('button', 'tabs__btn', day.label);
+      button.type = 'button';
+      button.id = `${day.id}-tab`;
+      button.setAttribute('aria-controls', day.id);
+      nav.appendChild(button);
+      this.dayButtons.set(day.date, button);
+
+      const panel = this.createElement('div', 'tabs__content');
+      panel.id = day.id;
+      panel.appendChild(this.createElement('h2', '', day.title));
+
+      const list = this.createElement('div', 'schedule-day');
+      day.sessions.forEach(session => list.appendChild(this.renderSession(day, session)));
+      panel.appendChild(list);
+      tabs.appendChild(panel);
+
+      if (index === 0) {
+        button.classList.add('tabs__btn--active');
+        panel.classList.add('tabs__content--active');
+      }
+    });
+
+    const agendaButton = this.createElement('button', 'tabs__btn', 'My Agenda ');
+    agendaButton.type = 'button';
+    agendaButton.id = 'my-agenda-tab';
+    agendaButton.setAttribute('aria-controls', 'my-agenda');
+    this.agendaCount = this.createElement('span', 'schedule__agenda-count');
+    agendaButton.appendChild(this.agendaCount);
+    nav.appendChild(agendaButton);
+    tabs.appendChild(this.createAgendaPanel());
+
+    this.root.replaceChildren(tabs);
+    this.setupAgendaListeners();
+    this.renderMyAgenda();
+    this.filter = new ScheduleFilter(this, { clock: this.clock });
+
+    // Mount the day tabs and expandable cards now rather than on the next mutation record
+    this.app?.components.scan(this.root);
+    this.showSessionFromHash();
+  }
+
+  renderSession(day, session) {
+    const item = this.createElement('div', 'schedule-item');
+    item.id = `session-${session.id}`;
+    item.setAttribute('data-session-id', session.id);
+    item.setAttribute('data-track', session.track);
+
+    const time = this.createElement('div', 'schedule-time');
+    const strong = document.createElement('strong');
+    const timeElement = this.createElement('time', '', formatTime(session.start));
+    timeElement.dateTime = `${day.date}T${session.start}`;
+    strong.appendChild(timeElement);
+    time.appendChild(strong);
+
+    const content = this.createElement('div', 'schedule-content');
+    const card = this.createElement('div', 'card');
+    const header = this.createElement('div', 'card__header');
+    header.append(
+      this.createElement('h3', '', session.title),
+      this.createElement('p', 'text-secondary', this.getMeta(session))
+    );
+    card.appendChild(header);
+
+    const details = this.renderDetails(session);
+    if (details) {
+      card.classList.add('schedule-item-expandable');
+      card.setAttribute('data-component', 'expandable');
+
+      const button = this.createElement('button', 'btn btn--secondary btn--sm expand-btn', 'Expand Details');
+      button.type = 'button';
+      header.prepend(this.createStarButton(session));
+      header.appendChild(button);
+      card.appendChild(details);
+    } else {
+      card.appendChild(this.createElement('p', '', session.description));
+    }
+
+    content.appendChild(card);
+    item.append(time, content);
+    return item;
+  }
+
+  // Switches to the session's day and brings it into view, optionally with its details open
+  showSession(id, { expand = false } = {}) {
+    const session = this.sessions.get(id);
+    const item = this.root.querySelector(`#session-${CSS.escape(id)}`);
+    if (!session || !item) return;
+
+    const button = this.dayButtons.get(session.date);
+    if (button && !button.classList.contains('tabs__btn--active')) {
+      button.click();
+    }
+
+    const card = item.querySelector('.schedule-item-expandable');
+    if (expand && card) {
+      this.app?.components.get(card, 'expandable')?.setExpanded(true);
+    }
+
+    item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  // Deep links such as schedule.html#session-opening-keynote, which the site search points to
+  showSessionFromHash() {
+    const [, id] = decodeURIComponent(location.hash.slice(1)).match(/^session-(.+)$/) || [];
+    if (id && this.sessions.has(id)) {
+      this.showSession(id, { expand: true });
+    }
+  }
+
+  // Sessions with speakers, notes or topics get an expandable details panel
+  renderDetails(session) {
+    const hasDetails = session.speakers.length > 0 || session.notes?.length > 0 || session.topics?.length > 0;
+    if (!hasDetails) return null;
+
+    const details = this.createElement('div', 'schedule-details');
+    details.id = `session-${session.id}-details`;
+    details.setAttribute('data-expand-details', '');
+
+    if (session.speakers.length > 0) {
+      const speakers = this.createElement('p');
+      speakers.appendChild(this.createElement('strong', '', session.speakers.length > 1 ? 'Speakers: ' : 'Speaker: '));
+      session.speakers.forEach((id, index) => {
+        const speaker = this.agenda.speakers[id];
+        const link = this.createElement('a', '', speaker.name);
+        link.href = speaker.profile || 'speakers.html';
+        speakers.append(index > 0 ? ', ' : '', link, ` (${speaker.affiliation})`);
+      });
+      details.appendChild(speakers);
+    }
+
+    details.appendChild(this.createElement('p', '', session.description));
+
+    (session.notes || []).forEach(note => {
+      const paragraph = this.createElement('p');
+      paragraph.append(this.createElement('strong', '', `${note.label}: `), note.text);
+      details.appendChild(paragraph);
+    });
+
+    if (session.topics?.length > 0) {
+      details.appendChild(this.createElement('p', '', 'Key Topics:'));
+      const list = this.createElement('ul');
+      session.topics.forEach(topic => list.appendChild(this.createElement('li', '', topic)));
+      details.appendChild(list);
+    }
+
+    return details;
+  }
+
+  getMeta(session) {
+    const names = session.speakers.map(id => {
+      const speaker = this.agenda.speakers[id];
+      return speaker.affiliation ? `${speaker.name}, ${speaker.affiliation}` : speaker.name;
+    });
+    const people = session.speakerLabel || (names.length > 2 ? 'Multiple Speakers' : names.join(' & '));
+
+    return [session.room, people].filter(Boolean).join(' • ');
+  }
+
+  createStarButton(session) {
+    const button = this.createElement('button', 'schedule-star');
+    button.type = 'button';
+    button.setAttribute('data-session-id', session.id);
+    this.updateStarButton(button, this.personalAgenda.has(session.id));
+    return button;
+  }
+
+  updateStarButton(button, isStarred) {
+    const title = this.sessions.get(button.getAttribute('data-session-id'))?.title || '';
+    button.textContent = isStarred ? '★' : '☆';
+    button.setAttribute('aria-pressed', String(isStarred));
+    button.setAttribute('aria-label', `${isStarred ? 'Remove' : 'Add'} ${title} ${isStarred ? 'from' : 'to'} My Agenda`);
+  }
+
+  createAgendaPanel() {
+    const panel = this.createElement('div', 'tabs__content');
+    panel.id = 'my-agenda';
+
+    const exportButton = this.createElement('button', 'btn btn--primary btn--sm', 'Download .ics');
+    exportButton.type = 'button';
+    exportButton.setAttribute('data-agenda-export', '');
+
+    const header = this.createElement('div', 'schedule__agenda-header');
+    header.append(this.createElement('h2', '', 'My Agenda'), exportButton);
+
+    this.agendaList = this.createElement('div', 'schedule-day');
+    this.exportButton = exportButton;
+    panel.append(header, this.agendaList);
+    return panel;
+  }
+
+  setupAgendaListeners() {
+    const { signal } = this.listeners;
+
+    this.root.addEventListener('click', (e) => {
+      const star = e.target.closest('.schedule-star');
+      if (star) {
+        e.stopPropagation();
+        this.personalAgenda.toggle(star.getAttribute('data-session-id'));
+        this.renderMyAgenda();
+        return;
+      }
+
+      if (e.target.closest('[data-agenda-export]')) {
+        this.downloadICS();
+      }
+    }, { signal });
+
+    // Keep other open tabs in step
+    window.addEventListener('storage', (e) => {
+      if (e.key === this.personalAgenda.storageKey) {
+        this.renderMyAgenda();
+      }
+    }, { signal });
+  }
+
+  getStarredSessions() {
+    const ids = this.personalAgenda.ids();
+    return [...this.sessions.values()].filter(session => ids.has(session.id));
+  }
+
+  renderMyAgenda() {
+    const starred = this.getStarredSessions();
+    const conflicts = PersonalAgenda.findConflicts(starred);
+
+    this.root.querySelectorAll('.schedule-star').forEach(button => {
+      this.updateStarButton(button, starred.some(session => session.id === button.getAttribute('data-session-id')));
+    });
+
+    this.agendaCount.textContent = starred.length > 0 ? `(${starred.length})` : '';
+    this.exportButton.disabled = starred.length === 0;
+
+    if (starred.length === 0) {
+      this.agendaList.replaceChildren(this.createElement('p', 'schedule__status',
+        'Star sessions with ☆ in the day tabs to build your own agenda.'));
+      return;
+    }
+
+    const content = [];
+    this.agenda.days.forEach(day => {
+      const sessions = starred.filter(session => session.date === day.date);
+      if (sessions.length === 0) return;
+
+      content.push(this.createElement('h3', 'schedule__agenda-day', day.label));
+      sessions.forEach(session => content.push(this.renderAgendaItem(session, conflicts.get(session.id))));
+    });
+
+    this.agendaList.replaceChildren(...content);
+  }
+
+  renderAgendaItem(session, conflictIds = []) {
+    const item = this.createElement('div', 'schedule-item');
+    item.setAttribute('data-session-id', session.id);
+    item.classList.toggle('schedule-item--conflict', conflictIds.length > 0);
+
+    const time = this.createElement('div', 'schedule-time');
+    time.appendChild(this.createElement('strong', '',
+      `${formatTime(session.start)} – ${formatTime(session.end)}`));
+
+    const card = this.createElement('div', 'card');
+    const header = this.createElement('div', 'card__header');
+    header.append(
+      this.createStarButton(session),
+      this.createElement('h3', '', session.title),
+      this.createElement('p', 'text-secondary', this.getMeta(session))
+    );
+    card.appendChild(header);
+
+    if (conflictIds.length > 0) {
+      const titles = conflictIds.map(id => `"${this.sessions.get(id).title}"`).join(', ');
+      card.appendChild(this.createElement('p', 'schedule-conflict', `⚠ Overlaps with ${titles}`));
+    }
+
+    const content = this.createElement('div', 'schedule-content');
+    content.appendChild(card);
+    item.append(time, content);
+    return item;
+  }
+
+  downloadICS() {
+    const starred = this.getStarredSessions();
+    if (starred.length === 0) return;
+
+    const blob = new Blob([PersonalAgenda.toICS(this.agenda, starred)], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = this.createElement('a');
+    link.href = url;
+    link.download = 'future-gadget-expo-2025-agenda.ics';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  renderError() {
+    const message = this.createElement('div', 'schedule__error');
+    message.setAttribute('role', 'alert');
+    message.append(
+      this.createElement('h3', '', "We couldn't load the schedule"),
+      this.createElement('p', '', 'Please refresh the page or check back shortly. The full agenda is also included in your registration confirmation email.')
+    );
+    this.root.replaceChildren(message);
+  }
+
+  createElement(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+
+  static validate(agenda) {
+    const errors = [];
+    const isTime = value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+    if (!agenda || !Array.isArray(agenda.days) || agenda.days.length === 0) {
+      return ['Agenda must have at least one day'];
+    }
+
+    // "Now" and the .ics export read session times in the venue's zone
+    if (!Schedule.isTimeZone(agenda.timezone)) {
+      errors.push(`timezone "${agenda.timezone}" is not an IANA time zone such as "America/Los_Angeles"`);
+    }
+
+    const speakers = agenda.speakers || {};
+    const tracks = agenda.tracks || {};
+
+    agenda.days.forEach((day, dayIndex) => {
+      const where = `days[${dayIndex}]`;
+
+      if (!day.id || !day.label || !day.title) errors.push(`${where} needs an id, label and title`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day.date || '')) errors.push(`${where}.date must be YYYY-MM-DD`);
+      if (!Array.isArray(day.sessions)) {
+        errors.push(`${where}.sessions must be an array`);
+        return;
+      }
+
+      day.sessions.forEach((session, sessionIndex) => {
+        const at = `${where}.sessions[${sessionIndex}]`;
+
+        if (!session.id || !session.title) errors.push(`${at} needs an id and title`);
+        if (!isTime(session.start) || !isTime(session.end)) errors.push(`${at} start and end must be HH:MM`);
+        else if (session.end <= session.start) errors.push(`${at} ends before it starts`);
+        if (typeof session.room !== 'string' || !session.room) errors.push(`${at}.room is required`);
+        if (!(session.track in tracks)) errors.push(`${at}.track "${session.track}" is not a known track`);
+        if (typeof session.description !== 'string') errors.push(`${at}.description is required`);
+
+        if (!Array.isArray(session.speakers)) {
+          errors.push(`${at}.speakers must be an array of speaker ids`);
+        } else {
+          session.speakers
+            .filter(id => !speakers[id])
+            .forEach(id => errors.push(`${at} refers to unknown speaker "${id}"`));
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  static isTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export class ScheduleDataError extends Error {
+  constructor(errors) {
+    super(`Invalid agenda: ${errors.join('; ')}`);
+    this.name = 'ScheduleDataError';
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Future Gadget Expo 2025 - Search Launcher
+ * The header search button and the "/" and Ctrl/Cmd+K shortcuts, on every page. The search overlay
+ * (site-search.js) is its own chunk, fetched the first time one of them is used.
+ */
+
+import { ModalManager } from './modal-manager.js';
+
+export class SearchLauncher {
+  constructor({ app = null, modals = app?.modals || ModalManager.shared } = {}) {
+    this.app = app;
+    this.modals = modals;
+    this.search = null;
+    this.loading = null;
+    this.listeners = new AbortController();
+    this.init();
+  }
+
+  init() {
+    this.createButton();
+    this.setupEventListeners();
+  }
+
+  destroy() {
+    this.listeners.abort();
+    this.button?.remove();
+    this.search?.destroy();
+  }
+
+  createButton() {
+    const headerContainer = document.querySelector('.header__container');
+    if (!headerContainer) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-toggle';
+    button.setAttribute('aria-label', 'Search');
+    button.setAttribute('aria-haspopup', 'dialog');
+    button.setAttribute('aria-keyshortcuts', '/ Control+K Meta+K');
+    button.innerHTML = `
+      <svg class="search-toggle__icon" viewBox="0 0 24 24" width="16" height="16" aria-hidden="true" focusable="false">
+        <circle cx="11" cy="11" r="7" fill="none" stroke="currentColor" stroke-width="2"/>
+        <path d="m20 20-4-4" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+      </svg>
+      <span class="search-toggle__label">Search</span>
+      <kbd class="search-toggle__shortcut">/</kbd>
+    `;
+
+    // Before the mobile toggle, so it sits with the navigation
+    headerContainer.insertBefore(button, headerContainer.querySelector('.nav-toggle'));
+    this.button = button;
+  }
+
+  setupEventListeners() {
+    const { signal } = this.listeners;
+
+    this.button?.addEventListener('click', () => this.open({ trigger: this.button }), { signal });
+
+    document.addEventListener('keydown', (e) => {
+      const isCommandK = e.key.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey;
+      // "/" is an ordinary character while typing in a field
+      const isSlash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !SearchLauncher.isTyping(e.target);
+
+      if (isCommandK || isSlash) {
+        e.preventDefault();
+        this.open();
+      }
+    }, { signal });
+  }
+
+  open({ trigger } = {}) {
+    // The open drawer makes the rest of the page inert, the search overlay included
+    this.closeNavDrawer();
+    const returnFocusTo = trigger || document.activeElement;
+
+    return this.load().then(search => search?.open({ trigger: returnFocusTo }));
+  }
+
+  // Closing hands focus back to the drawer's toggle, which the search then returns to
+  closeNavDrawer() {
+    document.querySelectorAll('[data-component~="nav-drawer"]').forEach(element => {
+      this.app?.components.get(element, 'nav-drawer')?.close();
+    });
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = import('./site-search.js')
+        .then(({ SiteSearch }) => {
+          this.search = new SiteSearch({ modals: this.modals });
+          return this.search;
+        })
+        .catch(error => {
+          // Let the next use try again
+          this.loading = null;
+          console.error('Site search could not be loaded', error);
+          return null;
+        });
+    }
+    return this.loading;
+  }
+
+  static isTyping(target) {
+    return Boolean(target?.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+  }
+}
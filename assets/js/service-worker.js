@@ -0,0 +1,131 @@
+/**
+ * Future Gadget Expo 2025 - Service Worker
+ * Serves the precached site offline, keeps gallery photos fresh with stale-while-revalidate
+ * and falls back to the offline page for pages it cannot reach.
+ * Built to /sw.js by build/precache-manifest.js, which fills in the version and manifest below.
+ */
+
+const VERSION = self.__PRECACHE_VERSION__;
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST__;
+
+const PRECACHE = `fge-precache-${VERSION}`;
+const PRECACHE_PREFIX = 'fge-precache-';
+const IMAGE_CACHE = 'fge-images';
+// Photos are opaque cross-origin responses, which count heavily against storage quota
+const IMAGE_CACHE_LIMIT = 60;
+
+const scopePath = new URL(self.registration.scope).pathname;
+const OFFLINE_PAGE = `${scopePath}offline.html`;
+const precached = new Set(PRECACHE_URLS);
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(PRECACHE).then(cache => {
+      // Bypass the HTTP cache so a new version never precaches stale files
+      return cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+    })
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names
+          .filter(name => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE)
+          .map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks the waiting worker to take over once the visitor chooses to reload
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request, url));
+    return;
+  }
+
+  if (sameOrigin && precached.has(url.pathname)) {
+    event.respondWith(fromPrecache(url.pathname, request));
+    return;
+  }
+
+  if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+// Maps "/", "/schedule" and "/schedule.html?tab=day-2" to the precached page
+function getPagePath(url) {
+  if (url.origin !== self.location.origin) return null;
+
+  let path = url.pathname;
+  if (path.endsWith('/')) {
+    path += 'index.html';
+  } else if (!/\.[a-z0-9]+$/i.test(path)) {
+    path += '.html';
+  }
+
+  return precached.has(path) ? path : null;
+}
+
+async function fromPrecache(path, request) {
+  const cache = await caches.open(PRECACHE);
+  const cached = await cache.match(path);
+  return cached || fetch(request);
+}
+
+async function handleNavigation(request, url) {
+  const page = getPagePath(url);
+  if (page) {
+    return fromPrecache(page, request);
+  }
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const offline = await caches.match(OFFLINE_PAGE, { cacheName: PRECACHE });
+    if (offline) return offline;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(event.request);
+
+  const update = fetch(event.request).then(async response => {
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(event.request, response.clone());
+      await trimCache(cache, IMAGE_CACHE_LIMIT);
+    }
+    return response;
+  });
+
+  if (cached) {
+    // Answer from the cache now and refresh it in the background
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+
+  return update;
+}
+
+// Drops the least recently stored entries; put() moves a refreshed entry to the end
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,371 @@
+/**
+ * Future Gadget Expo 2025 - Site Search
+ * Search overlay for speakers, sessions and page headings. SearchLauncher (search-launcher.js) loads and
+ * opens it the first time the header button, "/" or Ctrl/Cmd+K is used.
+ * Entries come from search-index.json, built with the site (build/search-index.js), and are fuzzy-ranked
+ * with the matched characters highlighted. Picking a result navigates to its URL, so speaker bios open
+ * through ModalManager's #speaker-* links and sessions through the schedule's #session-* links.
+ */
+
+import { ModalManager } from './modal-manager.js';
+
+export class SiteSearch {
+  constructor({ modals = ModalManager.shared, src = `${import.meta.env.BASE_URL}search-index.json` } = {}) {
+    this.modals = modals;
+    this.src = src;
+    this.entries = null;
+    this.loading = null;
+    this.results = [];
+    this.activeIndex = -1;
+    this.listeners = new AbortController();
+    this.init();
+  }
+
+  init() {
+    this.createOverlay();
+    this.setupEventListeners();
+  }
+
+  destroy() {
+    if (this.modals.isOpen(this.overlay)) {
+      this.modals.close(this.overlay);
+    }
+    this.listeners.abort();
+    this.overlay.remove();
+  }
+
+  createOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal search';
+    overlay.id = 'site-search';
+    // Searching is not a place worth a history entry
+    overlay.setAttribute('data-no-history', '');
+    overlay.setAttribute('aria-hidden', 'true');
+    overlay.innerHTML = `
+      <div class="modal__content search__dialog" aria-label="Search the site">
+        <div class="search__field">
+          <input type="search" class="search__input" role="combobox" aria-label="Search speakers, sessions and pages"
+            aria-expanded="false" aria-controls="site-search-results" aria-autocomplete="list"
+            placeholder="Search speakers, sessions and pages" autocomplete="off" spellcheck="false">
+          <button type="button" class="search__close" data-modal-close aria-label="Close search">Esc</button>
+        </div>
+        <ul class="search__results" id="site-search-results" role="listbox" aria-label="Search results"></ul>
+        <p class="search__status" role="status"></p>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    this.overlay = overlay;
+    this.input = overlay.querySelector('.search__input');
+    this.list = overlay.querySelector('.search__results');
+    this.status = overlay.querySelector('.search__status');
+  }
+
+  setupEventListeners() {
+    const { signal } = this.listeners;
+
+    this.input.addEventListener('input', () => this.search(this.input.value), { signal });
+    this.input.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+    this.list.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) {
+        this.pick(this.results[Number(option.dataset.index)]);
+      }
+    }, { signal });
+
+    this.list.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option && Number(option.dataset.index) !== this.activeIndex) {
+        this.setActive(Number(option.dataset.index));
+      }
+    }, { signal });
+  }
+
+  get isOpen() {
+    return this.modals.isOpen(this.overlay);
+  }
+
+  open({ trigger = document.activeElement } = {}) {
+    if (!this.isOpen) {
+      this.modals.open(this.overlay, { trigger });
+    }
+
+    this.input.focus();
+    this.input.select();
+
+    return this.load().then(() => this.search(this.input.value));
+  }
+
+  close() {
+    this.modals.close(this.overlay);
+  }
+
+  load() {
+    if (!this.loading) {
+      this.setStatus('Loading…');
+      this.loading = fetch(this.src, { headers: { Accept: 'application/json' } })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Search index request failed with status ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(entries => {
+          this.entries = entries;
+        })
+        .catch(error => {
+          // Let the next open try again
+          this.loading = null;
+          console.error('Search index could not be loaded', error);
+          this.setStatus('Search is unavailable right now. Please try again later.');
+        });
+    }
+    return this.loading;
+  }
+
+  search(query) {
+    if (!this.entries) return;
+
+    this.results = SiteSearch.rank(this.entries, query).slice(0, SiteSearch.maxResults);
+    this.render(query.trim());
+  }
+
+  render(query) {
+    this.list.replaceChildren(...this.results.map((result, index) => this.renderResult(result, index)));
+    this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+    this.setActive(this.results.length > 0 ? 0 : -1);
+
+    if (!query) {
+      this.setStatus('Type a speaker, talk, session or topic.');
+    } else if (this.results.length === 0) {
+      this.setStatus(`No results for “${query}”.`);
+    } else {
+      this.setStatus(`${this.results.length} ${this.results.length === 1 ? 'result' : 'results'}`);
+    }
+  }
+
+  renderResult({ entry, highlights }, index) {
+    const option = document.createElement('li');
+    option.className = 'search__result';
+    option.id = `site-search-option-${index}`;
+    option.dataset.index = index;
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+
+    const type = document.createElement('span');
+    type.className = `search__type search__type--${entry.type}`;
+    type.textContent = SiteSearch.typeLabels[entry.type] || entry.type;
+
+    const title = document.createElement('span');
+    title.className = 'search__title';
+    title.appendChild(SiteSearch.highlight(entry.title, highlights.title));
+
+    const meta = document.createElement('span');
+    meta.className = 'search__meta';
+    meta.appendChild(SiteSearch.highlight(entry.subtitle || '', highlights.subtitle));
+
+    option.append(type, title, meta);
+
+    if (entry.text) {
+      const text = document.createElement('span');
+      text.className = 'search__text';
+      text.appendChild(SiteSearch.highlight(entry.text, highlights.text));
+      option.appendChild(text);
+    }
+
+    return option;
+  }
+
+  setActive(index) {
+    this.activeIndex = index;
+
+    Array.from(this.list.children).forEach((option, optionIndex) => {
+      const isActive = optionIndex === index;
+      option.classList.toggle('search__result--active', isActive);
+      option.setAttribute('aria-selected', String(isActive));
+      if (isActive) {
+        option.scrollIntoView?.({ block: 'nearest' });
+      }
+    });
+
+    if (index >= 0) {
+      this.input.setAttribute('aria-activedescendant', `site-search-option-${index}`);
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  handleKeydown(e) {
+    const count = this.results.length;
+
+    if (e.key === 'ArrowDown' && count > 0) {
+      e.preventDefault();
+      this.setActive((this.activeIndex + 1) % count);
+    } else if (e.key === 'ArrowUp' && count > 0) {
+      e.preventDefault();
+      this.setActive((this.activeIndex - 1 + count) % count);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.pick(this.results[this.activeIndex]);
+    }
+  }
+
+  pick(result) {
+    if (!result) return;
+
+    const url = new URL(`${import.meta.env.BASE_URL}${result.entry.url}`, window.location.href);
+    this.close();
+
+    if (url.href === window.location.href) {
+      // Already at this address: no navigation would happen, so replay the hash for its listeners
+      window.dispatchEvent(new HashChangeEvent('hashchange'));
+    } else {
+      window.location.assign(url.href);
+    }
+  }
+
+  setStatus(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Scores every entry against the query. Each word of the query has to match one of the entry's fields
+   * (exactly, with a typo, or as scattered characters); entries are ordered by their summed, field-weighted scores.
+   * Returns [{ entry, score, highlights: { title, subtitle, text } }], where highlights are character indices.
+   */
+  static rank(entries, query) {
+    const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    const results = [];
+
+    entries.forEach(entry => {
+      const highlights = { title: [], subtitle: [], text: [] };
+      let score = 0;
+
+      const matchesAll = tokens.every(token => {
+        let best = null;
+
+        Object.entries(SiteSearch.fieldWeights).forEach(([field, weight]) => {
+          const match = SiteSearch.match(token, entry[field]);
+          if (match && (!best || match.score * weight > best.score)) {
+            best = { field, score: match.score * weight, indices: match.indices };
+          }
+        });
+
+        if (best) {
+          score += best.score;
+          highlights[best.field].push(...best.indices);
+        }
+        return Boolean(best);
+      });
+
+      if (matchesAll) {
+        results.push({ entry, score, highlights });
+      }
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.entry.title.localeCompare(b.entry.title));
+  }
+
+  /**
+   * Matches one lowercase query word against a field. Returns { score, indices } or null.
+   * Whole substrings score highest (more at the start of a word), then words within one typo
+   * (two for long words), then the word's characters in order within a short span.
+   */
+  static match(token, value) {
+    if (!value) return null;
+    const text = value.toLowerCase();
+    const range = (start, length) => Array.from({ length }, (_, offset) => start + offset);
+    // Ties go to the more complete match, e.g. "ai" in "AI" over "ai" in "Aim"
+    const coverage = length => length / text.length;
+
+    const index = text.indexOf(token);
+    if (index !== -1) {
+      const atWordStart = index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+      return { score: (atWordStart ? 3 : 2) + coverage(token.length), indices: range(index, token.length) };
+    }
+
+    if (token.length >= 4) {
+      const allowed = token.length >= 8 ? 2 : 1;
+      for (const word of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        if (Math.abs(word[0].length - token.length) <= allowed && SiteSearch.distance(token, word[0]) <= allowed) {
+          return { score: 1.5 + coverage(word[0].length), indices: range(word.index, word[0].length) };
+        }
+      }
+    }
+
+    const indices = [];
+    let from = 0;
+    for (const char of token) {
+      const found = text.indexOf(char, from);
+      if (found === -1) return null;
+      indices.push(found);
+      from = found + 1;
+    }
+
+    // Characters strewn across the whole field are not a match
+    const span = indices[indices.length - 1] - indices[0] + 1;
+    if (span > token.length * 2) return null;
+
+    return { score: token.length / span, indices };
+  }
+
+  // Edit distance counting a swap of neighbouring letters as one edit
+  static distance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[a.length][b.length];
+  }
+
+  // Wraps the characters at the given indices in <mark>, without parsing the text as HTML
+  static highlight(value, indices = []) {
+    const fragment = document.createDocumentFragment();
+    const marked = new Set(indices);
+    let start = 0;
+
+    while (start < value.length) {
+      const isMarked = marked.has(start);
+      let end = start;
+      while (end < value.length && marked.has(end) === isMarked) end++;
+
+      const part = value.slice(start, end);
+      if (isMarked) {
+        const mark = document.createElement('mark');
+        mark.textContent = part;
+        fragment.appendChild(mark);
+      } else {
+        fragment.appendChild(document.createTextNode(part));
+      }
+      start = end;
+    }
+
+    return fragment;
+  }
+}
+
+SiteSearch.maxResults = 8;
+
+SiteSearch.fieldWeights = {
+  title: 3,
+  text: 1.5,
+  subtitle: 1
+};
+
+SiteSearch.typeLabels = {
+  speaker: 'Speaker',
+  session: 'Session',
+  page: 'Page'
+};
@@ -0,0 +1,87 @@
+/**
+ * Future Gadget Expo 2025 - Submission Queue
+ * Persists form submissions made while offline so they can be replayed later.
+ * Entries hold personal details, so they expire after maxAge instead of staying on the device.
+ */
+
+export class SubmissionQueue {
+  constructor(storageKey = 'fge-submission-queue', { maxAge = SubmissionQueue.maxAge } = {}) {
+    this.storageKey = storageKey;
+    this.maxAge = maxAge;
+  }
+
+  // Unexpired entries, oldest first
+  entries() {
+    let stored;
+    try {
+      stored = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      return [];
+    }
+
+    return Array.isArray(stored) ? stored.filter(entry => !this.isExpired(entry)) : [];
+  }
+
+  isExpired(entry, now = Date.now()) {
+    // Entries without a readable timestamp count as expired
+    return !(now - Date.parse(entry?.queuedAt) < this.maxAge);
+  }
+
+  // Throws when storage is full or disabled (e.g. private browsing)
+  save(entries) {
+    if (entries.length === 0) {
+      localStorage.removeItem(this.storageKey);
+    } else {
+      localStorage.setItem(this.storageKey, JSON.stringify(entries));
+    }
+  }
+
+  // Deletes expired entries from storage; entries() already skips them
+  prune() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      if (Array.isArray(stored) && stored.some(entry => this.isExpired(entry))) {
+        this.save(this.entries());
+      }
+    } catch (error) {
+      // Unreadable or unwritable storage has nothing to prune
+    }
+  }
+
+  // Returns false when an entry with the same id is already queued
+  add(entry) {
+    const entries = this.entries();
+    if (entries.some(queued => queued.id === entry.id)) {
+      return false;
+    }
+
+    entries.push({ ...entry, queuedAt: new Date().toISOString() });
+    this.save(entries);
+    return true;
+  }
+
+  remove(id) {
+    this.save(this.entries().filter(entry => entry.id !== id));
+  }
+
+  count(formId) {
+    return this.entries().filter(entry => entry.formId === formId).length;
+  }
+
+  // Stable key for a payload, so resubmitting the same data never queues or charges twice
+  static createKey(formId, entries) {
+    const source = JSON.stringify([formId, entries]);
+    let hash = 0x811c9dc5;
+
+    // 32-bit FNV-1a
+    for (let i = 0; i < source.length; i++) {
+      hash ^= source.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return `${formId || 'form'}-${hash.toString(16).padStart(8, '0')}`;
+  }
+}
+
+// Long enough to outlast a flight or a spotty conference Wi-Fi day
+SubmissionQueue.maxAge = 3 * 24 * 60 * 60 * 1000;
@@ -0,0 +1,128 @@
+/**
+ * Future Gadget Expo 2025 - Tabs
+ * WAI-ARIA tabs component (data-component="tabs"): tabs pair with panels through aria-controls, falling back to order
+ */
+
+export class Tabs {
+  constructor(element) {
+    this.element = element;
+    this.tabList = element.querySelector('.tabs__nav');
+    this.listeners = null;
+  }
+
+  get tabs() {
+    return Array.from(this.element.querySelectorAll('.tabs__btn'));
+  }
+
+  mount() {
+    this.listeners = new AbortController();
+    const { signal } = this.listeners;
+    const panels = Array.from(this.element.querySelectorAll('.tabs__content'));
+    const index = Tabs.count++;
+
+    this.tabList?.setAttribute('role', 'tablist');
+
+    this.tabs.forEach((tab, tabIndex) => {
+      const panel = this.getPanel(tab) || panels[tabIndex];
+      if (!panel) return;
+
+      panel.id = panel.id || `tabs-${index}-panel-${tabIndex}`;
+      tab.id = tab.id || `${panel.id}-tab`;
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-controls', panel.id);
+      panel.setAttribute('role', 'tabpanel');
+      panel.setAttribute('aria-labelledby', tab.id);
+      panel.setAttribute('tabindex', '0');
+    });
+
+    this.element.addEventListener('click', (e) => {
+      const tab = e.target.closest('.tabs__btn');
+      if (tab && this.element.contains(tab)) this.select(tab);
+    }, { signal });
+
+    this.tabList?.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+    window.addEventListener('hashchange', () => this.syncWithHash(), { signal });
+
+    // A #panel-id in the URL wins over the markup's default
+    const tabs = this.tabs;
+    const linkedTab = this.getTabForHash();
+    const initialTab = linkedTab || tabs.find(tab => tab.classList.contains('tabs__btn--active')) || tabs[0];
+    if (initialTab) {
+      this.select(initialTab, { updateHash: false, silent: !linkedTab });
+    }
+  }
+
+  unmount() {
+    this.listeners?.abort();
+    this.listeners = null;
+  }
+
+  getPanel(tab) {
+    const panelId = tab.getAttribute('aria-controls');
+    return panelId ? this.element.querySelector(`#${CSS.escape(panelId)}`) : null;
+  }
+
+  getTabForHash() {
+    const id = decodeURIComponent(location.hash.slice(1));
+    if (!id) return null;
+
+    return this.tabs.find(tab => tab.getAttribute('aria-controls') === id) || null;
+  }
+
+  syncWithHash() {
+    const tab = this.getTabForHash();
+    if (tab) this.select(tab, { updateHash: false });
+  }
+
+  select(tab, { focus = false, updateHash = true, silent = false } = {}) {
+    const tabs = this.tabs;
+    const previous = tabs.find(btn => btn.getAttribute('aria-selected') === 'true');
+
+    tabs.forEach(btn => {
+      const isSelected = btn === tab;
+
+      btn.classList.toggle('tabs__btn--active', isSelected);
+      btn.setAttribute('aria-selected', String(isSelected));
+      // Roving tabindex: only the selected tab is in the Tab order
+      btn.setAttribute('tabindex', isSelected ? '0' : '-1');
+      this.getPanel(btn)?.classList.toggle('tabs__content--active', isSelected);
+    });
+
+    if (focus) tab.focus();
+    if (previous === tab) return;
+
+    const panelId = tab.getAttribute('aria-controls');
+    if (updateHash && location.hash !== `#${panelId}`) {
+      history.replaceState(history.state, '', `#${panelId}`);
+    }
+
+    if (!silent) {
+      this.element.dispatchEvent(new CustomEvent('tabchange', {
+        bubbles: true,
+        detail: { tab, panel: this.getPanel(tab), previousTab: previous || null }
+      }));
+    }
+  }
+
+  handleKeydown(e) {
+    const tabs = this.tabs;
+    const index = tabs.indexOf(e.target);
+    if (index === -1) return;
+
+    const targets = {
+      ArrowRight: tabs[(index + 1) % tabs.length],
+      ArrowLeft: tabs[(index - 1 + tabs.length) % tabs.length],
+      Home: tabs[0],
+      End: tabs[tabs.length - 1]
+    };
+
+    const target = targets[e.key];
+    if (!target) return;
+
+    e.preventDefault();
+    this.select(target, { focus: true });
+  }
+}
+
+// Numbers generated panel ids across every tabs component on the page
+Tabs.count = 0;
@@ -1,117 +1,403 @@
 /**
  * Future Gadget Expo 2025 - Theme Toggle
- * Handles dark/light theme switching with localStorage persistence
+ * Handles light/dark/system, high contrast and registered custom themes
+ * with localStorage persistence and an accessible theme menu
  */
 
-class ThemeToggle {
+export class ThemeToggle {
   constructor() {
-    this.currentTheme = this.getStoredTheme() || this.getPreferredTheme();
+    this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+    this.preference = this.getStoredTheme() || 'system';
+    // Custom properties the head bootstrap may already have applied
+    this.appliedVars = Object.keys(this.getStoredCustomTheme()?.vars || {});
+    this.listeners = new AbortController();
+    ThemeToggle.instance = this;
     this.init();
   }
 
   init() {
-    this.applyTheme(this.currentTheme);
+    this.applyTheme(this.preference);
     this.createToggleButton();
     this.setupEventListeners();
   }
 
+  destroy() {
+    this.listeners.abort();
+    this.toggleButton?.closest('.theme-switcher')?.remove();
+    this.toggleButton = null;
+    this.menu = null;
+
+    if (ThemeToggle.instance === this) {
+      ThemeToggle.instance = null;
+    }
+  }
+
+  // Storage can be unavailable (private mode, blocked cookies): reads give null, writes are skipped
   getStoredTheme() {
-    return localStorage.getItem('theme');
+    try {
+      return localStorage.getItem('theme');
+    } catch (error) {
+      return null;
+    }
   }
 
   getPreferredTheme() {
-    if (window.matchMedia('(prefers-color-scheme: dark)').matches) {
+    if (this.contrastQuery.matches) {
+      return 'contrast';
+    }
+    if (this.colorSchemeQuery.matches) {
       return 'dark';
     }
     return 'light';
   }
 
+  getStoredCustomTheme() {
+    try {
+      return JSON.parse(localStorage.getItem('theme-custom'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Snapshot of the active custom theme so theme-bootstrap.js can apply it before first paint
+  setStoredCustomTheme(theme) {
+    if (!ThemeToggle.customThemes.has(theme.name)) return;
+
+    const snapshot = JSON.stringify({ name: theme.name, base: theme.base, vars: theme.vars });
+    try {
+      if (localStorage.getItem('theme-custom') !== snapshot) {
+        localStorage.setItem('theme-custom', snapshot);
+      }
+    } catch (error) {
+      // The theme still applies for this page view
+    }
+  }
+
   setStoredTheme(theme) {
-    localStorage.setItem('theme', theme);
+    try {
+      if (theme === 'system') {
+        localStorage.removeItem('theme');
+      } else {
+        localStorage.setItem('theme', theme);
+      }
+    } catch (error) {
+      // The choice still applies for this page view
+    }
+  }
+
+  getThemes() {
+    return [...ThemeToggle.builtInThemes, ...ThemeToggle.customThemes.values()];
+  }
+
+  getTheme(name) {
+    return this.getThemes().find(theme => theme.name === name);
+  }
+
+  // Unknown names (e.g. a sponsor theme that is no longer registered) fall back to system
+  resolveTheme(preference) {
+    const theme = this.getTheme(preference);
+    if (!theme || theme.name === 'system') {
+      return this.getTheme(this.getPreferredTheme());
+    }
+    return theme;
   }
 
-  applyTheme(theme) {
+  applyTheme(preference) {
     const html = document.documentElement;
-    
-    if (theme === 'dark') {
-      html.classList.add('theme--dark');
-      html.classList.remove('theme--light');
-    } else {
-      html.classList.add('theme--light');
-      html.classList.remove('theme--dark');
+    const theme = this.resolveTheme(preference);
+    const previousTheme = this.currentTheme || null;
+
+    // Also clears classes left by theme-bootstrap.js for themes no longer registered
+    Array.from(html.classList)
+      .filter(className => className.startsWith('theme--'))
+      .forEach(className => html.classList.remove(className));
+    html.classList.add(`theme--${theme.base}`);
+    if (theme.name !== theme.base) {
+      html.classList.add(`theme--${theme.name}`);
     }
 
-    this.currentTheme = theme;
+    this.appliedVars.forEach(property => html.style.removeProperty(property));
+    this.appliedVars = Object.keys(theme.vars || {});
+    this.appliedVars.forEach(property => html.style.setProperty(property, theme.vars[property]));
+
+    html.style.colorScheme = theme.base;
+    html.setAttribute('data-theme', theme.name);
+
+    this.preference = preference;
+    this.currentTheme = theme.name;
+    this.setStoredCustomTheme(theme);
     this.updateToggleButton();
+
+    html.dispatchEvent(new CustomEvent('themechange', {
+      bubbles: true,
+      detail: { theme: theme.name, base: theme.base, preference, previousTheme }
+    }));
+  }
+
+  setTheme(preference) {
+    this.applyTheme(preference);
+    this.setStoredTheme(preference);
   }
 
   toggleTheme() {
-    const newTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
-    this.applyTheme(newTheme);
-    this.setStoredTheme(newTheme);
+    const base = this.resolveTheme(this.preference).base;
+    this.setTheme(base === 'dark' ? 'light' : 'dark');
   }
 
   createToggleButton() {
     const existingButton = document.querySelector('.theme-toggle');
     if (existingButton) return;
 
+    const wrapper = document.createElement('div');
+    wrapper.className = 'theme-switcher';
+
     const button = document.createElement('button');
+    button.type = 'button';
     button.className = 'theme-toggle';
-    button.setAttribute('aria-label', 'Toggle theme');
-    button.setAttribute('title', 'Toggle dark/light theme');
-    
+    button.id = 'theme-toggle';
+    button.setAttribute('aria-haspopup', 'menu');
+    button.setAttribute('aria-expanded', 'false');
+    button.setAttribute('aria-controls', 'theme-menu');
+    button.innerHTML = `
+      <span class="theme-toggle__swatch" aria-hidden="true"></span>
+      <span class="theme-toggle__label"></span>
+    `;
+
+    const menu = document.createElement('div');
+    menu.className = 'theme-menu';
+    menu.id = 'theme-menu';
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-labelledby', 'theme-toggle');
+    menu.hidden = true;
+
+    wrapper.append(button, menu);
+
     // Add to header
     const headerContainer = document.querySelector('.header__container');
     if (headerContainer) {
-      headerContainer.appendChild(button);
+      headerContainer.appendChild(wrapper);
     } else {
       // Fallback: add to body
-      document.body.appendChild(button);
+      document.body.appendChild(wrapper);
     }
 
     this.toggleButton = button;
+    this.menu = menu;
+    this.renderMenu();
+  }
+
+  renderMenu() {
+    if (!this.menu) return;
+
+    this.menu.innerHTML = '';
+    this.getThemes().forEach(theme => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'theme-menu__item';
+      item.setAttribute('role', 'menuitemradio');
+      item.setAttribute('tabindex', '-1');
+      item.setAttribute('data-theme-option', theme.name);
+      item.innerHTML = `
+        <span class="theme-menu__swatch theme-menu__swatch--${theme.name}" aria-hidden="true"></span>
+        <span class="theme-menu__label"></span>
+      `;
+      item.querySelector('.theme-menu__label').textContent = theme.label;
+
+      if (theme.swatch) {
+        item.querySelector('.theme-menu__swatch').style.background = theme.swatch;
+      }
+
+      this.menu.appendChild(item);
+    });
+
     this.updateToggleButton();
   }
 
   updateToggleButton() {
     if (!this.toggleButton) return;
 
-    const isDark = this.currentTheme === 'dark';
-    this.toggleButton.innerHTML = isDark ? '☀️' : '🌙';
-    this.toggleButton.setAttribute('aria-label', 
-      isDark ? 'Switch to light theme' : 'Switch to dark theme'
-    );
-    this.toggleButton.setAttribute('title',
-      isDark ? 'Switch to light theme' : 'Switch to dark theme'
-    );
+    const preference = this.getTheme(this.preference) ? this.preference : 'system';
+    const label = this.getTheme(preference).label;
+    const description = preference === 'system'
+      ? `${label} (${this.getTheme(this.currentTheme).label.toLowerCase()})`
+      : label;
+
+    this.toggleButton.querySelector('.theme-toggle__label').textContent = label;
+    this.toggleButton.setAttribute('aria-label', `Theme: ${description}`);
+    this.toggleButton.setAttribute('title', `Theme: ${description}`);
+
+    this.getMenuItems().forEach(item => {
+      const isChecked = item.getAttribute('data-theme-option') === preference;
+      item.setAttribute('aria-checked', isChecked ? 'true' : 'false');
+    });
+  }
+
+  getMenuItems() {
+    return this.menu ? Array.from(this.menu.querySelectorAll('[role="menuitemradio"]')) : [];
+  }
+
+  isMenuOpen() {
+    return Boolean(this.menu && !this.menu.hidden);
+  }
+
+  openMenu(focus = 'checked') {
+    if (!this.menu) return;
+
+    this.menu.hidden = false;
+    this.toggleButton.setAttribute('aria-expanded', 'true');
+
+    const items = this.getMenuItems();
+    const checked = items.find(item => item.getAttribute('aria-checked') === 'true');
+    const target = focus === 'last' ? items[items.length - 1] : (checked || items[0]);
+    target?.focus();
+  }
+
+  closeMenu({ restoreFocus = true } = {}) {
+    if (!this.isMenuOpen()) return;
+
+    this.menu.hidden = true;
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+
+    if (restoreFocus) {
+      this.toggleButton.focus();
+    }
+  }
+
+  handleMenuKeydown(e) {
+    const items = this.getMenuItems();
+    const index = items.indexOf(document.activeElement);
+    let next = null;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        next = items[(index + 1) % items.length];
+        break;
+      case 'ArrowUp':
+        next = items[(index - 1 + items.length) % items.length];
+        break;
+      case 'Home':
+        next = items[0];
+        break;
+      case 'End':
+        next = items[items.length - 1];
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.closeMenu();
+        return;
+      case 'Tab':
+        this.closeMenu({ restoreFocus: false });
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    next.focus();
   }
 
   setupEventListeners() {
-    // Listen for system theme changes
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-      if (!this.getStoredTheme()) {
-        this.applyTheme(e.matches ? 'dark' : 'light');
+    // Follow system changes while the preference is 'system'
+    const onSystemChange = () => {
+      if (this.preference === 'system' || !this.getTheme(this.preference)) {
+        this.applyTheme(this.preference);
       }
-    });
+    };
+    const { signal } = this.listeners;
+    this.colorSchemeQuery.addEventListener('change', onSystemChange, { signal });
+    this.contrastQuery.addEventListener('change', onSystemChange, { signal });
+
+    // Keep every open tab on the same theme
+    window.addEventListener('storage', (e) => {
+      if (e.key === 'theme' || e.key === null) {
+        this.applyTheme(e.newValue || 'system');
+      }
+    }, { signal });
 
-    // Handle toggle button click
+    // Handle menu button and option clicks
     document.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-theme-option]');
+      if (option) {
+        this.setTheme(option.getAttribute('data-theme-option'));
+        this.closeMenu();
+        return;
+      }
+
       if (e.target.closest('.theme-toggle')) {
-        this.toggleTheme();
+        if (this.isMenuOpen()) {
+          this.closeMenu();
+        } else {
+          this.openMenu();
+        }
+        return;
       }
-    });
 
-    // Keyboard shortcut (Ctrl/Cmd + Shift + D)
+      if (!e.target.closest('.theme-menu')) {
+        this.closeMenu({ restoreFocus: false });
+      }
+    }, { signal });
+
     document.addEventListener('keydown', (e) => {
+      if (e.target.closest && e.target.closest('.theme-menu')) {
+        this.handleMenuKeydown(e);
+        return;
+      }
+
+      if (e.target.closest && e.target.closest('.theme-toggle') && ['ArrowDown', 'ArrowUp'].includes(e.key)) {
+        e.preventDefault();
+        this.openMenu(e.key === 'ArrowUp' ? 'last' : 'checked');
+        return;
+      }
+
+      // Keyboard shortcut (Ctrl/Cmd + Shift + D)
       if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'D') {
         e.preventDefault();
         this.toggleTheme();
       }
-    });
+    }, { signal });
+  }
+
+  static registerTheme(name, cssVars, options = {}) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+      throw new Error(`Invalid theme name "${name}": use lowercase letters, digits and hyphens`);
+    }
+    if (ThemeToggle.builtInThemes.some(theme => theme.name === name)) {
+      throw new Error(`Theme "${name}" is built in and cannot be replaced`);
+    }
+
+    const vars = Object.assign({}, cssVars);
+    const invalid = Object.keys(vars).filter(property => !property.startsWith('--'));
+    if (invalid.length > 0) {
+      throw new Error(`Theme "${name}" can only set custom properties, got: ${invalid.join(', ')}`);
+    }
+
+    const theme = {
+      name,
+      label: options.label || name.replace(/-/g, ' ').replace(/^\w/, char => char.toUpperCase()),
+      base: options.base === 'dark' ? 'dark' : 'light',
+      swatch: options.swatch || vars['--color-primary'] || null,
+      vars
+    };
+    ThemeToggle.customThemes.set(name, theme);
+
+    const instance = ThemeToggle.instance;
+    if (instance) {
+      instance.renderMenu();
+      if (instance.preference === name) {
+        instance.applyTheme(name);
+      }
+    }
+
+    return theme;
   }
 }
 
-// Initialize theme toggle
-document.addEventListener('DOMContentLoaded', () => {
-  new ThemeToggle();
-});
\ No newline at end of file
+ThemeToggle.builtInThemes = [
+  { name: 'system', label: 'System', base: null },
+  { name: 'light', label: 'Light', base: 'light' },
+  { name: 'dark', label: 'Dark', base: 'dark' },
+  { name: 'contrast', label: 'High contrast', base: 'dark' }
+];
+
+ThemeToggle.customThemes = new Map();
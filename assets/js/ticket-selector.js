@@ -0,0 +1,373 @@
+/**
+ * Future Gadget Expo 2025 - Ticket Selector
+ * Ticket tiers, quantities, promo codes and early-bird pricing for the registration form.
+ * Its copy comes from the FormValidator message catalog, through the form's validator when given one.
+ */
+
+import { FormValidator } from './form-validation.js';
+
+export class TicketSelector {
+  constructor(root = document, { validator = null } = {}) {
+    this.root = root;
+    this.validator = validator;
+    this.form = root.querySelector('[data-ticket-form]');
+    this.config = this.readConfig();
+    this.tiers = this.readTiers();
+    this.selectedTier = null;
+    this.appliedPromo = null;
+    this.promoStatus = null;
+    this.init();
+  }
+
+  init() {
+    if (!this.form || this.tiers.size === 0) return;
+
+    this.elements = {
+      panel: this.form.querySelector('[data-ticket-summary]'),
+      name: this.form.querySelector('[data-ticket-name]'),
+      total: this.form.querySelector('[data-ticket-total]'),
+      breakdown: this.form.querySelector('[data-ticket-breakdown]'),
+      tierInput: this.form.querySelector('input[name="ticketTier"]'),
+      totalInput: this.form.querySelector('input[name="ticketTotal"]'),
+      promoInput: this.form.querySelector('input[name="promoCode"]'),
+      promoEntry: this.form.querySelector('[data-promo-entry]'),
+      promoStatus: this.form.querySelector('[data-promo-status]'),
+      quantity: this.form.querySelector('input[name="ticketQuantity"]'),
+      submit: this.form.querySelector('button[type="submit"]')
+    };
+
+    this.renderTierPrices();
+    this.setupEventListeners();
+
+    // Pick up a selection restored from a saved draft
+    const restoredTier = this.elements.tierInput?.value;
+    if (restoredTier && this.tiers.has(restoredTier)) {
+      this.selectTier(restoredTier, { scroll: false });
+      if (this.elements.promoInput.value) {
+        this.applyPromo(this.elements.promoInput.value);
+      }
+    } else {
+      this.update();
+    }
+  }
+
+  readConfig() {
+    const script = this.root.querySelector('script[type="application/json"][data-ticket-config]');
+    let config = {};
+
+    if (script) {
+      try {
+        config = JSON.parse(script.textContent);
+      } catch (error) {
+        console.warn('Invalid ticket configuration', error);
+      }
+    }
+
+    return { currency: 'USD', groupDiscounts: [], promoCodes: {}, ...config };
+  }
+
+  // Tiers come from the JSON config when it lists them, otherwise from the cards
+  readTiers() {
+    const tiers = new Map();
+
+    if (Array.isArray(this.config.tiers)) {
+      this.config.tiers.forEach(tier => tiers.set(tier.id, tier));
+      return tiers;
+    }
+
+    this.root.querySelectorAll('[data-ticket-tier]').forEach(card => {
+      const id = card.getAttribute('data-ticket-tier');
+      tiers.set(id, {
+        id,
+        name: card.getAttribute('data-ticket-name') || card.querySelector('.card__title')?.textContent.trim() || id,
+        price: Number(card.getAttribute('data-price')),
+        earlyPrice: card.hasAttribute('data-early-price') ? Number(card.getAttribute('data-early-price')) : undefined
+      });
+    });
+
+    return tiers;
+  }
+
+  setupEventListeners() {
+    this.root.querySelectorAll('[data-ticket-select]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.selectTier(button.closest('[data-ticket-tier]')?.getAttribute('data-ticket-tier') ||
+          button.getAttribute('data-ticket-select'));
+      });
+    });
+
+    this.elements.quantity?.addEventListener('input', () => {
+      this.recheckPromo();
+      this.update();
+    });
+
+    this.form.querySelector('[data-promo-apply]')?.addEventListener('click', () => {
+      this.applyPromo(this.elements.promoEntry.value);
+    });
+
+    this.elements.promoEntry?.addEventListener('keydown', (e) => {
+      // Enter applies the code rather than submitting the form
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.applyPromo(this.elements.promoEntry.value);
+      }
+    });
+
+    // form.reset() runs after the event, so recalculate once it's done
+    this.form.addEventListener('reset', () => {
+      setTimeout(() => {
+        this.appliedPromo = null;
+        this.elements.promoInput.value = '';
+        this.setPromoStatus(null);
+        this.update();
+      });
+    });
+
+    this.form.addEventListener('localechange', () => {
+      this.renderTierPrices();
+      this.setPromoStatus(this.promoStatus);
+      this.update();
+    });
+  }
+
+  // Per-form data-messages and the validator's locale apply when there is a validator
+  t(key, params = {}) {
+    return this.validator
+      ? this.validator.t(key, params, this.form)
+      : FormValidator.format(FormValidator.messages.en[key] ?? key, params);
+  }
+
+  selectTier(id, { scroll = true } = {}) {
+    if (!this.tiers.has(id)) return;
+    this.selectedTier = this.tiers.get(id);
+
+    this.root.querySelectorAll('[data-ticket-tier]').forEach(card => {
+      const isSelected = card.getAttribute('data-ticket-tier') === id;
+      card.classList.toggle('ticket-card--selected', isSelected);
+      card.querySelector('[data-ticket-select]')?.setAttribute('aria-pressed', String(isSelected));
+    });
+
+    this.recheckPromo();
+    this.update();
+
+    if (scroll) {
+      this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  getQuantity() {
+    const quantity = parseInt(this.elements.quantity?.value, 10);
+    const max = parseInt(this.elements.quantity?.max, 10) || Infinity;
+    return Number.isNaN(quantity) ? 1 : Math.min(Math.max(quantity, 1), max);
+  }
+
+  findPromo(code) {
+    const normalized = code.trim().toUpperCase();
+    const promo = Object.entries(this.config.promoCodes)
+      .find(([candidate]) => candidate.toUpperCase() === normalized);
+
+    return promo ? { code: promo[0], ...promo[1] } : null;
+  }
+
+  isPromoValidFor(promo, quantity, now = new Date()) {
+    if (promo.validUntil && now > new Date(promo.validUntil)) return false;
+    if (promo.minQuantity && quantity < promo.minQuantity) return false;
+    if (promo.tiers && this.selectedTier && !promo.tiers.includes(this.selectedTier.id)) return false;
+    return true;
+  }
+
+  // Drops the applied code, with a notice, once the tier or quantity no longer qualifies for it
+  recheckPromo() {
+    if (this.appliedPromo && !this.isPromoValidFor(this.appliedPromo, this.getQuantity())) {
+      this.applyPromo(this.appliedPromo.code);
+    }
+  }
+
+  applyPromo(code) {
+    if (!code.trim()) {
+      this.appliedPromo = null;
+      this.elements.promoInput.value = '';
+      this.setPromoStatus(null);
+      this.update();
+      return;
+    }
+
+    const promo = this.findPromo(code);
+
+    if (!promo || !this.isPromoValidFor(promo, this.getQuantity())) {
+      this.appliedPromo = null;
+      this.elements.promoInput.value = '';
+      this.setPromoStatus(promo
+        ? { key: 'promoNotApplicable', params: { code: promo.code }, isError: true }
+        : { key: 'promoInvalid', params: { code: code.trim() }, isError: true });
+    } else {
+      this.appliedPromo = promo;
+      this.elements.promoInput.value = promo.code;
+      this.elements.promoEntry.value = promo.code;
+      this.setPromoStatus({
+        key: promo.label ? 'promoAppliedLabel' : 'promoApplied',
+        params: { code: promo.code, label: promo.label }
+      });
+    }
+
+    this.update();
+  }
+
+  // Kept as a catalog key, so a locale change can render it again
+  setPromoStatus(promoStatus) {
+    this.promoStatus = promoStatus;
+
+    const status = this.elements.promoStatus;
+    if (!status) return;
+
+    status.textContent = promoStatus ? this.t(promoStatus.key, promoStatus.params) : '';
+    status.classList.toggle('ticket-summary__promo-status--error', Boolean(promoStatus?.isError));
+  }
+
+  formatPrice(amount) {
+    return new Intl.NumberFormat(this.config.locale || this.validator?.locale || document.documentElement.lang || undefined, {
+      style: 'currency',
+      currency: this.config.currency,
+      minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+  }
+
+  isEarlyBird(now = new Date()) {
+    const endsAt = this.config.earlyBird?.endsAt;
+    return Boolean(endsAt) && now <= new Date(endsAt);
+  }
+
+  renderTierPrices() {
+    const isEarlyBird = this.isEarlyBird();
+
+    this.root.querySelectorAll('[data-ticket-tier]').forEach(card => {
+      const tier = this.tiers.get(card.getAttribute('data-ticket-tier'));
+      const priceElement = card.querySelector('[data-ticket-price]');
+      if (!tier || !priceElement) return;
+
+      const unitPrice = TicketSelector.getUnitPrice(tier, isEarlyBird);
+      priceElement.textContent = this.formatPrice(unitPrice);
+
+      if (unitPrice < tier.price) {
+        const regular = document.createElement('s');
+        regular.className = 'ticket-card__regular-price';
+        regular.textContent = this.formatPrice(tier.price);
+        priceElement.append(' ', regular);
+      }
+    });
+
+    this.root.querySelectorAll('[data-early-bird-notice]').forEach(notice => {
+      notice.hidden = !isEarlyBird;
+    });
+  }
+
+  update() {
+    const { panel, name, total, breakdown, tierInput, totalInput, submit } = this.elements;
+
+    if (!this.selectedTier) {
+      if (panel) panel.hidden = true;
+      if (submit) {
+        submit.disabled = true;
+        submit.classList.add('btn--disabled');
+      }
+      return;
+    }
+
+    const quote = TicketSelector.calculatePrice({
+      tier: this.selectedTier,
+      quantity: this.getQuantity(),
+      promo: this.appliedPromo,
+      groupDiscounts: this.config.groupDiscounts,
+      isEarlyBird: this.isEarlyBird()
+    });
+
+    panel.hidden = false;
+    name.textContent = quote.quantity > 1
+      ? `${this.selectedTier.name} × ${quote.quantity}`
+      : this.selectedTier.name;
+    total.textContent = this.formatPrice(quote.total);
+    this.renderBreakdown(breakdown, quote);
+
+    // Feed the payload
+    tierInput.value = this.selectedTier.id;
+    totalInput.value = quote.total.toFixed(2);
+
+    if (submit) {
+      // FormValidator restores whatever label the button has once a submission settles
+      submit.textContent = this.t('ticketSubmit', { total: this.formatPrice(quote.total) });
+      submit.disabled = false;
+      submit.classList.remove('btn--disabled');
+    }
+  }
+
+  renderBreakdown(list, quote) {
+    if (!list) return;
+
+    const lines = [[
+      this.t(quote.isEarlyBird ? 'ticketLineEarlyBird' : 'ticketLine', {
+        quantity: quote.quantity,
+        price: this.formatPrice(quote.unitPrice)
+      }),
+      this.formatPrice(quote.subtotal)
+    ]];
+    if (quote.groupDiscount > 0) {
+      lines.push([
+        this.t('ticketGroupDiscount', { percent: Math.round(quote.groupRate * 100) }),
+        `−${this.formatPrice(quote.groupDiscount)}`
+      ]);
+    }
+    if (quote.promoDiscount > 0) {
+      lines.push([this.t('ticketPromo', { code: this.appliedPromo.code }), `−${this.formatPrice(quote.promoDiscount)}`]);
+    }
+
+    list.replaceChildren(...lines.map(([label, amount]) => {
+      const item = document.createElement('li');
+      const labelElement = document.createElement('span');
+      const amountElement = document.createElement('span');
+      labelElement.textContent = label;
+      amountElement.textContent = amount;
+      item.append(labelElement, amountElement);
+      return item;
+    }));
+  }
+
+  static getUnitPrice(tier, isEarlyBird) {
+    return isEarlyBird && typeof tier.earlyPrice === 'number' ? tier.earlyPrice : tier.price;
+  }
+
+  /**
+   * Prices a selection: early-bird unit price, then the best group discount for the
+   * quantity, then the promo code. The server recalculates; this is for display only.
+   */
+  static calculatePrice({ tier, quantity = 1, promo = null, groupDiscounts = [], isEarlyBird = false }) {
+    const round = amount => Math.round(amount * 100) / 100;
+    const unitPrice = TicketSelector.getUnitPrice(tier, isEarlyBird);
+    const subtotal = round(unitPrice * quantity);
+
+    const groupRate = groupDiscounts
+      .filter(discount => quantity >= discount.minQuantity)
+      .reduce((best, discount) => Math.max(best, discount.percent / 100), 0);
+    const groupDiscount = round(subtotal * groupRate);
+
+    let promoDiscount = 0;
+    if (promo) {
+      const afterGroup = subtotal - groupDiscount;
+      promoDiscount = promo.type === 'amount'
+        ? Math.min(afterGroup, promo.value * (promo.perTicket ? quantity : 1))
+        : afterGroup * (promo.value / 100);
+      promoDiscount = round(promoDiscount);
+    }
+
+    return {
+      quantity,
+      unitPrice,
+      subtotal,
+      groupRate,
+      groupDiscount,
+      promoDiscount,
+      total: round(subtotal - groupDiscount - promoDiscount),
+      isEarlyBird: isEarlyBird && unitPrice < tier.price
+    };
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Future Gadget Expo 2025 - Precache Manifest
+ * Build-only plugin that emits the service worker with the list of files it precaches
+ * and a version derived from their contents, so every deploy that changes a file installs a new worker
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+
+const WORKER_SOURCE = new URL('../assets/js/service-worker.js', import.meta.url);
+
+function listFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path) : [path];
+  });
+}
+
+export default function precacheManifest({ fileName = 'sw.js' } = {}) {
+  let config;
+
+  return {
+    name: 'fge-precache-manifest',
+    apply: 'build',
+    // After Vite has emitted the pages and stylesheets, so they are in the bundle
+    enforce: 'post',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+    generateBundle(options, bundle) {
+      const files = new Map();
+
+      Object.values(bundle).forEach(output => {
+        if (output.fileName.endsWith('.map')) return;
+        files.set(output.fileName, output.type === 'chunk' ? output.code : output.source);
+      });
+
+      if (config.publicDir && existsSync(config.publicDir)) {
+        listFiles(config.publicDir).forEach(path => {
+          files.set(relative(config.publicDir, path).split(sep).join('/'), readFileSync(path));
+        });
+      }
+
+      const names = [...files.keys()].sort();
+      const hash = createHash('sha256');
+      names.forEach(name => {
+        hash.update(name);
+        hash.update(files.get(name));
+      });
+
+      const source = readFileSync(WORKER_SOURCE, 'utf8')
+        .replace('self.__PRECACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 10)))
+        .replace('self.__PRECACHE_MANIFEST__', JSON.stringify(names.map(name => config.base + name), null, 2));
+
+      this.emitFile({ type: 'asset', fileName, source });
+    }
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Future Gadget Expo 2025 - Search Index
+ * Builds the site search index from the page headings, the speaker-* bio modals and the agenda's sessions,
+ * emitted as search-index.json by the build and served on the fly by the dev server
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const text = element => element?.textContent.replace(/\s+/g, ' ').trim() || '';
+
+function indexPage(root, page) {
+  const file = `${page}.html`;
+  const { document } = new JSDOM(readFileSync(new URL(file, root), 'utf8')).window;
+  // Named as in the navigation ("Home", "Schedule"), falling back to the document title
+  const navLink = document.querySelector(`.nav__link[href="${file}"], .nav__link[href="./${file}"]`);
+  const pageTitle = text(navLink) || text(document.querySelector('title'));
+  const entries = [];
+
+  document.querySelectorAll('main h1, main h2').forEach(heading => {
+    // Headings inside dialogs are indexed with their speaker below
+    if (heading.closest('.modal')) return;
+
+    const target = heading.closest('[id]');
+    entries.push({
+      type: 'page',
+      title: text(heading),
+      subtitle: pageTitle,
+      url: target ? `${file}#${target.id}` : file
+    });
+  });
+
+  document.querySelectorAll('.modal[id^="speaker-"]').forEach(modal => {
+    const talk = Array.from(modal.querySelectorAll('p'))
+      .find(paragraph => text(paragraph.querySelector('strong')) === 'Talk:');
+
+    entries.push({
+      type: 'speaker',
+      title: text(modal.querySelector('h2')),
+      subtitle: text(modal.querySelector('.text-secondary')),
+      text: text(talk).replace(/^Talk:\s*/, ''),
+      url: `${file}#${modal.id}`
+    });
+  });
+
+  return entries;
+}
+
+function indexAgenda(root, src) {
+  const agenda = JSON.parse(readFileSync(new URL(src, root), 'utf8'));
+
+  return agenda.days.flatMap(day => day.sessions.map(session => ({
+    type: 'session',
+    title: session.title,
+    subtitle: [day.label, `${session.start}–${session.end}`, session.room].filter(Boolean).join(' · '),
+    text: [
+      ...session.speakers.map(id => agenda.speakers[id]?.name),
+      agenda.tracks[session.track]
+    ].filter(Boolean).join(', '),
+    url: `schedule.html#session-${session.id}`
+  })));
+}
+
+export function buildSearchIndex({ root, pages, agenda }) {
+  return [
+    ...pages.flatMap(page => indexPage(root, page)),
+    ...indexAgenda(root, agenda)
+  ];
+}
+
+export default function searchIndex({ pages, agenda = 'public/data/agenda.json', fileName = 'search-index.json' }) {
+  const root = new URL('../', import.meta.url);
+  const build = () => JSON.stringify(buildSearchIndex({ root, pages, agenda }));
+
+  return {
+    name: 'fge-search-index',
+    configureServer(server) {
+      server.middlewares.use(`/${fileName}`, (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(build());
+      });
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName, source: build() });
+    }
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Future Gadget Expo 2025 - Mock API
+ * Local stand-in for the form endpoints, served by the Vite dev and preview servers
+ */
+
+const REQUIRED_FIELDS = {
+  register: ['ticketTier', 'firstName', 'lastName', 'email', 'jobTitle', 'industry', 'terms'],
+  contact: ['firstName', 'lastName', 'email', 'inquiryType', 'subject', 'message']
+};
+
+// Addresses on this domain behave as already registered
+const TAKEN_EMAIL = /@taken\.test$/i;
+
+// Addresses on this domain make the endpoint fail with a 503, to exercise retries
+const FAILING_EMAIL = /@unavailable\.test$/i;
+
+const LATENCY = 600;
+
+// Responses by Idempotency-Key, so a replayed submission is answered but not processed twice
+const processedSubmissions = new Map();
+
+async function readPayload(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  const body = new Response(Buffer.concat(chunks), {
+    headers: { 'Content-Type': req.headers['content-type'] || 'application/json' }
+  });
+
+  if ((req.headers['content-type'] || '').startsWith('multipart/form-data')) {
+    const formData = await body.formData();
+    return Object.fromEntries(formData.entries());
+  }
+
+  return body.json();
+}
+
+function sendJson(res, status, data) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(data));
+}
+
+async function handleFormSubmission(formName, req) {
+  let payload;
+  try {
+    payload = await readPayload(req);
+  } catch {
+    return { status: 400, data: { message: 'The request body could not be parsed.' } };
+  }
+
+  if (FAILING_EMAIL.test(payload.email || '')) {
+    return { status: 503, data: { message: 'The service is temporarily unavailable.' } };
+  }
+
+  const errors = {};
+  REQUIRED_FIELDS[formName].forEach(name => {
+    if (!String(payload[name] ?? '').trim()) {
+      errors[name] = 'This field is required';
+    }
+  });
+
+  // Mirrors the client's cross-field rules
+  if (formName === 'register') {
+    if (payload.confirmEmail !== undefined && payload.confirmEmail !== payload.email) {
+      errors.confirmEmail = 'Email addresses do not match';
+    }
+    if (payload.industry !== 'other' && !String(payload.company ?? '').trim()) {
+      errors.company = 'This field is required';
+    }
+    if (payload.accessibilityNeeded && !String(payload.accessibility ?? '').trim()) {
+      errors.accessibility = 'Please describe the accommodations you need';
+    }
+    const quantity = Number(payload.ticketQuantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 20) {
+      errors.ticketQuantity = 'Choose between 1 and 20 passes';
+    }
+  }
+
+  if (TAKEN_EMAIL.test(payload.email || '')) {
+    errors.email = 'This email address is already registered';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { status: 422, data: { message: 'Please correct the highlighted fields.', errors } };
+  }
+
+  return {
+    status: 200,
+    data: {
+      message: formName === 'register'
+        ? `Thanks ${payload.firstName}, your registration is confirmed. Check your inbox for details.`
+        : "Thanks for reaching out. We'll get back to you within 24 hours."
+    }
+  };
+}
+
+async function handleIdempotentSubmission(formName, req) {
+  const key = req.headers['idempotency-key'];
+  if (key && processedSubmissions.has(key)) {
+    return processedSubmissions.get(key);
+  }
+
+  const result = await handleFormSubmission(formName, req);
+  if (key && result.status < 300) {
+    processedSubmissions.set(key, result);
+  }
+
+  return result;
+}
+
+function handleEmailAvailability(searchParams) {
+  const email = searchParams.get('email') || '';
+
+  return TAKEN_EMAIL.test(email)
+    ? { valid: false }
+    : { valid: true };
+}
+
+function mockApiMiddleware(req, res, next) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const route = pathname.replace(/^\/|\/$/g, '');
+
+  if (route === 'email-available') {
+    setTimeout(() => sendJson(res, 200, handleEmailAvailability(searchParams)), LATENCY);
+    return;
+  }
+
+  if (!(route in REQUIRED_FIELDS)) {
+    return next();
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendJson(res, 405, { message: 'Method not allowed' });
+  }
+
+  setTimeout(() => {
+    handleIdempotentSubmission(route, req)
+      .then(({ status, data }) => sendJson(res, status, data))
+      .catch(next);
+  }, LATENCY);
+}
+
+export default function mockApi() {
+  return {
+    name: 'fge-mock-api',
+    configureServer(server) {
+      server.middlewares.use('/api', mockApiMiddleware);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use('/api', mockApiMiddleware);
+    }
+  };
+}
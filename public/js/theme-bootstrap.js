@@ -0,0 +1,45 @@
+/**
+ * Future Gadget Expo 2025 - Theme Bootstrap
+ * Loaded synchronously in <head> to apply the stored theme before first paint.
+ * Mirrors ThemeToggle.resolveTheme; ThemeToggle takes over once the DOM is ready.
+ * Kept in public/ as a classic script: Vite only bundles modules, which run too late.
+ */
+
+(() => {
+  const html = document.documentElement;
+  let preference = 'system';
+  let custom = null;
+
+  try {
+    preference = localStorage.getItem('theme') || 'system';
+    custom = JSON.parse(localStorage.getItem('theme-custom'));
+  } catch (error) {
+    // Storage can be unavailable (private mode, blocked cookies); fall back to system
+  }
+
+  let name = preference;
+  let base = preference;
+
+  if (custom && custom.name === preference) {
+    base = custom.base;
+    Object.keys(custom.vars || {}).forEach(property => {
+      html.style.setProperty(property, custom.vars[property]);
+    });
+  } else if (preference === 'contrast') {
+    base = 'dark';
+  } else if (preference !== 'light' && preference !== 'dark') {
+    if (window.matchMedia('(prefers-contrast: more)').matches) {
+      name = 'contrast';
+      base = 'dark';
+    } else {
+      name = base = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+  }
+
+  html.classList.add(`theme--${base}`);
+  if (name !== base) {
+    html.classList.add(`theme--${name}`);
+  }
+  html.style.colorScheme = base;
+  html.setAttribute('data-theme', name);
+})();
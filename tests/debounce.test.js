@@ -0,0 +1,40 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { debounce } from '../assets/js/debounce.js';
+
+describe('debounce', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('waits for a pause and then runs once with the latest arguments', () => {
+    const spy = vi.fn();
+    const debounced = debounce(spy, 250);
+
+    debounced('a');
+    vi.advanceTimersByTime(200);
+    debounced('b');
+    vi.advanceTimersByTime(200);
+
+    expect(spy).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(50);
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy).toHaveBeenCalledWith('b');
+  });
+
+  it('runs again for calls after the pause', () => {
+    const spy = vi.fn();
+    const debounced = debounce(spy, 250);
+
+    debounced('a');
+    vi.advanceTimersByTime(250);
+    debounced('b');
+    vi.advanceTimersByTime(250);
+
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,36 @@
+// A small agenda in the venue's time zone, shared by the schedule tests
+export const createAgenda = () => ({
+  event: 'Future Gadget Expo 2025',
+  timezone: 'America/Los_Angeles',
+  tracks: {
+    general: 'General',
+    ai: 'AI & Machine Learning',
+    robotics: 'Robotics'
+  },
+  speakers: {
+    'sarah-chen': { name: 'Dr. Sarah Chen', affiliation: 'TechCorp' },
+    'marcus-johnson': { name: 'Marcus Johnson', affiliation: 'GreenTech' }
+  },
+  days: [
+    {
+      id: 'day-1',
+      date: '2025-03-15',
+      label: 'Day 1',
+      title: 'Day 1: AI & Innovation',
+      sessions: [
+        { id: 'keynote', start: '09:00', end: '10:00', title: 'Opening Keynote', room: 'Main Auditorium', track: 'ai', speakers: ['sarah-chen'], description: 'Welcome to the expo.' },
+        { id: 'robots', start: '09:30', end: '10:30', title: 'Robots at Home', room: 'Hall B', track: 'robotics', speakers: ['marcus-johnson'], description: 'Household robotics.' },
+        { id: 'lunch', start: '12:00', end: '13:00', title: 'Lunch', room: 'Main Lobby', track: 'general', speakers: [], description: 'Food, glorious food.' }
+      ]
+    },
+    {
+      id: 'day-2',
+      date: '2025-03-16',
+      label: 'Day 2',
+      title: 'Day 2: Robotics',
+      sessions: [
+        { id: 'ethics', start: '10:00', end: '11:00', title: 'AI Ethics Panel', room: 'Main Auditorium', track: 'ai', speakers: ['sarah-chen', 'marcus-johnson'], description: 'A panel, with questions.' }
+      ]
+    }
+  ]
+});
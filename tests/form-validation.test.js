@@ -0,0 +1,629 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { FormValidator, FormSubmissionError } from '../assets/js/form-validation.js';
+import { SubmissionQueue } from '../assets/js/submission-queue.js';
+import { ModalManager } from '../assets/js/modal-manager.js';
+import '../assets/js/form-messages.js';
+
+describe('FormValidator.runValidationRule', () => {
+  let validator;
+
+  const field = (html) => {
+    document.body.innerHTML = `<form>${html}</form>`;
+    return document.querySelector('form').elements[0];
+  };
+
+  const run = (rule, value, element = field('<input name="field">')) => {
+    return validator.runValidationRule(rule, value, validator.createRuleContext(element, new AbortController().signal));
+  };
+
+  beforeAll(() => {
+    validator = new FormValidator({ locale: 'en' });
+  });
+
+  afterEach(() => {
+    FormValidator.rules.delete('test-rule');
+    document.body.innerHTML = '';
+  });
+
+  it('treats unknown rule types as valid', () => {
+    expect(run({ type: 'does-not-exist' }, 'anything')).toEqual({ isValid: true });
+  });
+
+  it('returns a valid result when the rule passes', () => {
+    expect(run({ type: 'required' }, 'hello')).toEqual({ isValid: true });
+  });
+
+  it('fills in the catalog message, labelled with the field, when the rule fails', () => {
+    const input = field('<label for="name">Full name *</label><input id="name" name="name">');
+    const result = run({ type: 'required' }, '', input);
+
+    expect(result).toEqual({ isValid: false, message: 'Full name is required', rule: { type: 'required' } });
+  });
+
+  it('interpolates the rule parameter into the message', () => {
+    const result = run({ type: 'minlength', value: '5' }, 'abc');
+    expect(result.message).toBe('Minimum 5 characters required');
+  });
+
+  it('prefers an author-provided message over the catalog', () => {
+    const result = run({ type: 'pattern', value: /^\d+$/, message: 'Digits only' }, 'abc');
+    expect(result).toMatchObject({ isValid: false, message: 'Digits only' });
+  });
+
+  it('uses a string returned by the rule as the message', () => {
+    FormValidator.registerRule('test-rule', () => 'Custom failure');
+    expect(run({ type: 'test-rule' }, 'x')).toEqual({ isValid: false, message: 'Custom failure' });
+  });
+
+  it('treats any outcome other than false or a string as valid', () => {
+    FormValidator.registerRule('test-rule', () => undefined);
+    expect(run({ type: 'test-rule' }, 'x')).toEqual({ isValid: true });
+  });
+
+  it('resolves asynchronous rules to the same result shapes', async () => {
+    FormValidator.registerRule('test-rule', async (value) => value === 'ok' ? true : value === 'no' ? false : 'Taken');
+
+    await expect(run({ type: 'test-rule' }, 'ok')).resolves.toEqual({ isValid: true });
+    await expect(run({ type: 'test-rule' }, 'no')).resolves.toMatchObject({ isValid: false, rule: { type: 'test-rule' } });
+    await expect(run({ type: 'test-rule' }, 'dup')).resolves.toEqual({ isValid: false, message: 'Taken' });
+  });
+
+  it('passes the parameter and a context with the element and other field values', () => {
+    document.body.innerHTML = '<form><input name="email" value="a@b.co"><input name="confirm"></form>';
+    const confirm = document.querySelector('[name="confirm"]');
+
+    expect(run({ type: 'match', value: 'email', dependsOn: ['email'] }, 'a@b.co', confirm).isValid).toBe(true);
+    expect(run({ type: 'match', value: 'email', dependsOn: ['email'] }, 'x@y.co', confirm).isValid).toBe(false);
+  });
+
+  describe('built-in rules', () => {
+    const cases = [
+      ['required', undefined, '', false],
+      ['email', undefined, 'person@example.com', true],
+      ['email', undefined, 'not-an-email', false],
+      ['email', undefined, '', true],
+      ['minlength', '3', 'ab', false],
+      ['maxlength', '3', 'abcd', false],
+      ['min', '10', '9', false],
+      ['min', '2025-03-15', '2025-03-16', true],
+      ['max', '10', '11', false],
+      ['pattern', /^[A-Z]{3}$/, 'ABC', true],
+      ['pattern', '^[A-Z]{3}$', 'abc', false],
+      ['phone', undefined, '+1 (415) 555-0100', true],
+      ['phone', undefined, 'call me', false],
+      ['url', undefined, 'https://example.com', true],
+      ['url', undefined, 'ftp://example.com', false],
+      ['url', undefined, 'example', false],
+      ['number', undefined, '42.5', true],
+      ['number', undefined, 'forty', false]
+    ];
+
+    it.each(cases)('%s(%s) on %j is valid: %s', (type, value, input, expected) => {
+      expect(run({ type, value }, input).isValid).toBe(expected);
+    });
+
+    it('makes a field conditionally required with required-if and required-unless', () => {
+      document.body.innerHTML = '<form><select name="industry"><option value="other" selected>Other</option><option value="tech">Tech</option></select><input name="detail"></form>';
+      const detail = document.querySelector('[name="detail"]');
+      const industry = document.querySelector('[name="industry"]');
+
+      expect(run({ type: 'required-if', value: 'industry=other' }, '', detail).isValid).toBe(false);
+      expect(run({ type: 'required-unless', value: 'industry=other' }, '', detail).isValid).toBe(true);
+
+      industry.value = 'tech';
+      expect(run({ type: 'required-if', value: 'industry=other' }, '', detail).isValid).toBe(true);
+      expect(run({ type: 'required-unless', value: 'industry=other' }, '', detail).isValid).toBe(false);
+    });
+  });
+});
+
+describe('FormValidator cross-field rules', () => {
+  let validator;
+  let fields;
+
+  const type = (name, value) => {
+    const element = fields.get(name).element;
+    element.value = value;
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+  const hasError = name => fields.get(name).element.classList.contains('form__input--error');
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form data-validate>
+        <div class="form__group"><label for="email">Email</label><input id="email" name="email" type="email"></div>
+        <div class="form__group"><label for="confirm">Confirm email</label><input id="confirm" name="confirm" data-rule="match:email"></div>
+        <div class="form__group">
+          <label for="industry">Industry</label>
+          <select id="industry" name="industry"><option value="tech">Tech</option><option value="other">Other</option></select>
+        </div>
+        <div class="form__group"><label for="industryOther">Your industry</label><input id="industryOther" name="industryOther" data-rule="required-if:industry=other"></div>
+        <div class="form__group"><label for="company">Company</label><input id="company" name="company" data-rule="required-unless:industry=other"></div>
+        <div class="form__group"><label for="country">Country</label><input id="country" name="country"></div>
+        <div class="form__group"><label for="postcode">Postcode</label><input id="postcode" name="postcode" data-depends-on="country"></div>
+      </form>
+    `;
+    validator = new FormValidator({ locale: 'en' });
+    fields = validator.forms[0].fields;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('revalidates a touched match field when the field it matches changes', () => {
+    type('email', 'ada@example.com');
+    type('confirm', 'ada@example.com');
+    validator.validateField(fields.get('confirm'));
+    expect(hasError('confirm')).toBe(false);
+
+    type('email', 'grace@example.com');
+    expect(hasError('confirm')).toBe(true);
+    expect(fields.get('confirm').errorElement.textContent).toBe('Must match Email');
+
+    type('email', 'ada@example.com');
+    expect(hasError('confirm')).toBe(false);
+  });
+
+  it('leaves dependents the visitor has not reached alone', () => {
+    type('email', 'ada@example.com');
+    expect(hasError('confirm')).toBe(false);
+    expect(fields.get('confirm').isTouched).toBe(false);
+  });
+
+  it('toggles the required state of required-if and required-unless fields with their condition', () => {
+    const other = fields.get('industryOther').element;
+    const company = fields.get('company').element;
+    expect(other.getAttribute('aria-required')).toBe('false');
+    expect(company.getAttribute('aria-required')).toBe('true');
+    expect(company.labels[0].classList.contains('form__label--required')).toBe(true);
+
+    type('industry', 'other');
+    expect(other.getAttribute('aria-required')).toBe('true');
+    expect(other.labels[0].classList.contains('form__label--required')).toBe(true);
+    expect(company.getAttribute('aria-required')).toBe('false');
+
+    type('industry', 'tech');
+    expect(other.getAttribute('aria-required')).toBe('false');
+  });
+
+  it('flags a touched required-if field once its condition starts to hold', () => {
+    validator.validateField(fields.get('industryOther'));
+    expect(hasError('industryOther')).toBe(false);
+
+    type('industry', 'other');
+    expect(hasError('industryOther')).toBe(true);
+    expect(fields.get('industryOther').errorElement.textContent).toBe('Your industry is required');
+  });
+
+  it('revalidates fields that declare data-depends-on', () => {
+    const postcode = fields.get('postcode');
+    validator.validateField(postcode);
+    const validate = vi.spyOn(validator, 'validateField');
+
+    type('country', 'DE');
+    expect(validate).toHaveBeenCalledWith(postcode);
+  });
+});
+
+describe('FormValidator async rules', () => {
+  let validator;
+  let fieldData;
+  let checks;
+
+  // Each run of the rule waits for the test to settle it
+  const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((...settle) => [resolve, reject] = settle);
+    return { promise, resolve, reject };
+  };
+
+  beforeEach(() => {
+    checks = [];
+    FormValidator.registerRule('handle-available', (value, param, { signal }) => {
+      const check = { ...deferred(), value, signal };
+      checks.push(check);
+      return check.promise;
+    }, { message: 'That handle is taken' });
+
+    document.body.innerHTML = `
+      <form data-validate data-transport="test" id="profile-form" action="/api/profile">
+        <div class="form__group"><label for="handle">Handle</label><input id="handle" name="handle" data-rule="handle-available"></div>
+        <button type="submit">Save</button>
+      </form>
+    `;
+    validator = new FormValidator({ locale: 'en' });
+    fieldData = validator.forms[0].fields.get('handle');
+  });
+
+  afterEach(() => {
+    FormValidator.rules.delete('handle-available');
+    delete FormValidator.messages.en['handle-available'];
+    FormValidator.transports.delete('test');
+    ModalManager.shared.destroy();
+    document.body.innerHTML = '';
+  });
+
+  const input = () => fieldData.element;
+
+  it('marks the field pending until the check settles', async () => {
+    input().value = 'ada';
+    const result = validator.validateField(fieldData);
+
+    expect(input().classList.contains('form__input--pending')).toBe(true);
+    expect(input().getAttribute('aria-busy')).toBe('true');
+
+    checks[0].resolve(false);
+    await expect(result).resolves.toBe(false);
+
+    expect(input().classList.contains('form__input--pending')).toBe(false);
+    expect(input().hasAttribute('aria-busy')).toBe(false);
+    expect(fieldData.errorElement.textContent).toBe('That handle is taken');
+  });
+
+  it('aborts a check superseded by a newer one or by typing, and ignores its answer', async () => {
+    input().value = 'ada';
+    validator.validateField(fieldData);
+    input().value = 'ada99';
+    const latest = validator.validateField(fieldData);
+
+    expect(checks[0].signal.aborted).toBe(true);
+    checks[0].resolve(false);
+    checks[1].resolve(true);
+    await expect(latest).resolves.toBe(true);
+    expect(input().classList.contains('form__input--error')).toBe(false);
+
+    validator.validateField(fieldData);
+    input().dispatchEvent(new Event('input', { bubbles: true }));
+    expect(checks[2].signal.aborted).toBe(true);
+    expect(input().classList.contains('form__input--pending')).toBe(false);
+  });
+
+  it('lets the visitor through when the check itself fails', async () => {
+    const result = validator.validateField(fieldData);
+    checks[0].reject(new TypeError('Failed to fetch'));
+
+    await expect(result).resolves.toBe(true);
+  });
+
+  it('holds the submission until pending checks pass', async () => {
+    const transport = { send: vi.fn(() => Promise.resolve({ ok: true, status: 200, data: null })) };
+    FormValidator.registerTransport('test', transport);
+    input().value = 'ada';
+
+    input().form.requestSubmit();
+    await Promise.resolve();
+    expect(transport.send).not.toHaveBeenCalled();
+
+    checks[0].resolve(true);
+    await vi.waitFor(() => expect(transport.send).toHaveBeenCalledTimes(1));
+  });
+
+  it('does not submit when a pending check fails', async () => {
+    const transport = { send: vi.fn() };
+    FormValidator.registerTransport('test', transport);
+
+    input().form.requestSubmit();
+    checks[0].resolve(false);
+
+    await vi.waitFor(() => expect(document.activeElement).toBe(input()));
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('FormValidator messages', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('uses field-specific catalog copy in the current locale', () => {
+    document.body.innerHTML = '<form><input type="checkbox" name="terms" required><input name="nickname" required></form>';
+    const [terms, nickname] = document.querySelector('form').elements;
+    const validator = new FormValidator({ locale: 'es' });
+
+    expect(validator.getRuleMessage({ type: 'required' }, terms)).toBe(FormValidator.messages.es['terms.required']);
+    expect(validator.getRuleMessage({ type: 'required' }, nickname)).toBe('Este campo es obligatorio');
+
+    validator.setLocale('de');
+    expect(validator.getRuleMessage({ type: 'required' }, terms)).toBe(FormValidator.messages.de['terms.required']);
+  });
+
+  it('lets a form override field-specific copy with data-messages', () => {
+    document.body.innerHTML = `<form data-messages='{"fr": {"email.remote": "Adresse déjà utilisée"}}'><input type="email" name="email"></form>`;
+    const validator = new FormValidator({ locale: 'fr' });
+
+    expect(validator.getRuleMessage({ type: 'remote' }, document.querySelector('input'))).toBe('Adresse déjà utilisée');
+  });
+
+  it('labels the result dialog close button from the form messages', () => {
+    document.body.innerHTML = `<form data-messages='{"en": {"close": "Got it"}}'></form>`;
+    const validator = new FormValidator({ locale: 'en' });
+    const modal = validator.createResultModal({ form: document.querySelector('form'), title: 'Done', message: 'Sent' });
+
+    expect(modal.querySelector('[data-modal-close]').textContent).toBe('Got it');
+  });
+});
+
+describe('FormValidator submission', () => {
+  let validator;
+  let formData;
+
+  const request = { url: '/api/register', method: 'POST', encoding: 'json', entries: [['name', 'Ada']], headers: {} };
+  const options = { transport: 'test', timeout: 1000, retries: 2, retryDelay: 100 };
+  const respond = (status, data = null) => ({ ok: status < 400, status, data });
+
+  // A transport that answers with the given responses in turn; errors are thrown
+  const useTransport = (...responses) => {
+    const transport = {
+      send: vi.fn(() => {
+        const next = responses.length > 1 ? responses.shift() : responses[0];
+        return next instanceof Error ? Promise.reject(next) : Promise.resolve(next);
+      })
+    };
+    FormValidator.registerTransport('test', transport);
+    return transport;
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form data-validate data-transport="test" data-timeout="500" data-retries="1" action="/api/register">
+        <div class="form__group"><label for="name">Name</label><input id="name" name="name"></div>
+        <div class="form__group"><label for="email">Email</label><input id="email" name="email" type="email"></div>
+      </form>
+    `;
+    validator = new FormValidator({ locale: 'en' });
+    [formData] = validator.forms;
+  });
+
+  afterEach(() => {
+    FormValidator.transports.delete('test');
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  describe('transports', () => {
+    it('reads the transport and its limits from the form, falling back to the defaults', () => {
+      expect(validator.getSubmitOptions(formData.element)).toEqual({ transport: 'test', timeout: 500, retries: 1, retryDelay: 1000 });
+      expect(validator.getSubmitOptions(document.createElement('form'))).toEqual(FormValidator.defaults);
+    });
+
+    it('sends through the transport the form names', async () => {
+      const transport = useTransport(respond(200));
+
+      await expect(validator.sendRequest(request, options)).resolves.toEqual(respond(200));
+      expect(transport.send).toHaveBeenCalledWith(request, { signal: expect.any(AbortSignal) });
+    });
+
+    it('rejects unknown transports and ones without send()', async () => {
+      await expect(validator.sendRequest(request, { ...options, transport: 'pigeon' })).rejects.toThrow('Unknown form transport "pigeon"');
+      expect(() => FormValidator.registerTransport('broken', {})).toThrow(TypeError);
+    });
+
+    it('posts JSON, turning repeated names into arrays without tripping over inherited names', async () => {
+      vi.stubGlobal('fetch', vi.fn(() => Promise.resolve(new Response('{}', { headers: { 'Content-Type': 'application/json' } }))));
+      const entries = [['constructor', 'a'], ['toString', 'b'], ['topics', 'ai'], ['topics', 'robotics']];
+
+      await FormValidator.transports.get('fetch').send({ ...request, entries }, { signal: new AbortController().signal });
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ constructor: 'a', toString: 'b', topics: ['ai', 'robotics'] });
+    });
+  });
+
+  describe('retries', () => {
+    beforeEach(() => vi.useFakeTimers());
+
+    it('retries server errors with exponential backoff', async () => {
+      const transport = useTransport(respond(503), respond(503), respond(200));
+      const sent = validator.sendRequest(request, options);
+
+      await vi.advanceTimersByTimeAsync(99);
+      expect(transport.send).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(transport.send).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(199);
+      expect(transport.send).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(1);
+      await expect(sent).resolves.toEqual(respond(200));
+      expect(transport.send).toHaveBeenCalledTimes(3);
+    });
+
+    it('returns client errors and the last failed attempt without retrying further', async () => {
+      const rejected = useTransport(respond(422));
+      await expect(validator.sendRequest(request, options)).resolves.toEqual(respond(422));
+      expect(rejected.send).toHaveBeenCalledTimes(1);
+
+      const failing = useTransport(respond(500));
+      const sent = validator.sendRequest(request, options);
+      await vi.advanceTimersByTimeAsync(300);
+
+      await expect(sent).resolves.toEqual(respond(500));
+      expect(failing.send).toHaveBeenCalledTimes(3);
+    });
+
+    it('rethrows a network error once the retries run out', async () => {
+      useTransport(new FormSubmissionError('network', 'offline'));
+      const sent = validator.sendRequest(request, { ...options, retries: 1 });
+      const failure = expect(sent).rejects.toMatchObject({ code: 'network' });
+
+      await vi.advanceTimersByTimeAsync(100);
+      await failure;
+    });
+
+    it('aborts and rejects a request that outlives the timeout', async () => {
+      let signal;
+      const transport = { send: (sentRequest, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      } };
+      const sent = validator.sendWithTimeout(transport, request, 500);
+      const failure = expect(sent).rejects.toMatchObject({ name: 'FormSubmissionError', code: 'timeout' });
+
+      await vi.advanceTimersByTimeAsync(499);
+      expect(signal.aborted).toBe(false);
+
+      await vi.advanceTimersByTimeAsync(1);
+      await failure;
+      expect(signal.aborted).toBe(true);
+    });
+  });
+
+  describe('server errors', () => {
+    const error = name => formData.fields.get(name).errorElement.textContent;
+
+    it('maps { field: message } onto the fields and focuses the first', () => {
+      expect(validator.applyServerErrors(formData, { errors: { email: ['Already registered', 'Other'], name: 'Too short' } })).toBe(true);
+
+      expect(error('email')).toBe('Already registered');
+      expect(error('name')).toBe('Too short');
+      expect(document.activeElement.name).toBe('email');
+    });
+
+    it('maps [{ field, message }] too', () => {
+      validator.applyServerErrors(formData, { errors: [{ field: 'name', message: 'Required' }] });
+
+      expect(error('name')).toBe('Required');
+      expect(formData.fields.get('name').element.classList.contains('form__input--error')).toBe(true);
+    });
+
+    it('reports when no error belongs to a field on the form', () => {
+      expect(validator.applyServerErrors(formData, { errors: { coupon: 'Expired' } })).toBe(false);
+      expect(validator.applyServerErrors(formData, { message: 'Down for maintenance' })).toBe(false);
+    });
+  });
+});
+
+describe('FormValidator offline queue', () => {
+  let validator;
+  let formData;
+  let transport;
+
+  const form = () => document.getElementById('contact-form');
+  const fill = (values) => {
+    Object.entries(values).forEach(([name, value]) => {
+      form().elements[name].value = value;
+    });
+  };
+  const setOnline = online => vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(online);
+  const queued = () => validator.queue.entries();
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = `
+      <form data-validate data-offline-queue data-transport="test" data-retries="0" id="contact-form" action="/api/contact">
+        <div class="form__group"><label for="name">Name</label><input id="name" name="name"></div>
+        <div class="form__group"><label for="email">Email</label><input id="email" name="email" type="email"></div>
+        <button type="submit">Send</button>
+      </form>
+    `;
+    transport = { send: vi.fn(() => Promise.resolve({ ok: true, status: 200, data: null })) };
+    FormValidator.registerTransport('test', transport);
+    validator = new FormValidator({ locale: 'en' });
+    [formData] = validator.forms;
+  });
+
+  afterEach(() => {
+    FormValidator.transports.delete('test');
+    ModalManager.shared.destroy();
+    vi.restoreAllMocks();
+    localStorage.clear();
+    document.body.innerHTML = '';
+  });
+
+  // Queues the current values as if they had been submitted offline
+  const queueOffline = async (values = { name: 'Ada', email: 'ada@example.com' }) => {
+    setOnline(false);
+    fill(values);
+    await validator.submitForm(formData);
+    vi.restoreAllMocks();
+  };
+
+  it('saves a submission made offline once per payload and resets the form', async () => {
+    await queueOffline();
+    await queueOffline();
+
+    expect(transport.send).not.toHaveBeenCalled();
+    expect(queued()).toHaveLength(1);
+    expect(queued()[0]).toMatchObject({
+      formId: 'contact-form',
+      id: SubmissionQueue.createKey('contact-form', [['name', 'Ada'], ['email', 'ada@example.com']])
+    });
+    expect(form().elements.name.value).toBe('');
+    expect(document.body.textContent).toContain(FormValidator.messages.en.queuedDuplicate);
+    expect(form().querySelector('.form__status').textContent).toBe('1 submission is queued and will be sent when you are back online.');
+  });
+
+  it('replays the queue with its Idempotency-Key once back online', async () => {
+    await queueOffline();
+    const [entry] = queued();
+
+    await validator.flushQueue();
+    expect(queued()).toHaveLength(0);
+
+    expect(transport.send).toHaveBeenCalledTimes(1);
+    expect(transport.send.mock.calls[0][0].headers['Idempotency-Key']).toBe(entry.id);
+    expect(form().querySelector('.form__status').hidden).toBe(true);
+    expect(document.body.textContent).toContain(FormValidator.messages.en.successTitle);
+  });
+
+  it('keeps a retryable failure queued for the next attempt', async () => {
+    await queueOffline();
+    transport.send.mockResolvedValue({ ok: false, status: 503, data: null });
+
+    await validator.flushQueue();
+    expect(queued()).toHaveLength(1);
+  });
+
+  it('leaves entries for forms on other pages alone', async () => {
+    validator.queue.add({ id: 'register-1', formId: 'registration-form', request: {}, options: {} });
+
+    await validator.flushQueue();
+
+    expect(transport.send).not.toHaveBeenCalled();
+    expect(queued().map(entry => entry.id)).toEqual(['register-1']);
+  });
+
+  it('puts a rejected entry back into an untouched form with the server\'s field errors', async () => {
+    await queueOffline();
+    transport.send.mockResolvedValue({ ok: false, status: 422, data: { errors: { email: 'Already registered' } } });
+
+    await validator.flushQueue();
+
+    expect(queued()).toHaveLength(0);
+    expect(form().elements.name.value).toBe('Ada');
+    expect(formData.fields.get('email').errorElement.textContent).toBe('Already registered');
+  });
+
+  it('asks before putting a rejected entry over what the visitor is typing', async () => {
+    await queueOffline();
+    transport.send.mockResolvedValue({ ok: false, status: 422, data: { errors: { email: 'Already registered' } } });
+    fill({ name: 'Grace' });
+    form().elements.name.dispatchEvent(new Event('input', { bubbles: true }));
+
+    await validator.flushQueue();
+    expect(form().elements.name.value).toBe('Grace');
+
+    const restore = Array.from(document.querySelectorAll('.modal button'))
+      .find(button => button.textContent === FormValidator.messages.en.queueRestore);
+    restore.click();
+
+    expect(form().elements.name.value).toBe('Ada');
+    expect(formData.fields.get('email').errorElement.textContent).toBe('Already registered');
+  });
+
+  it('contains storage failures while replaying', async () => {
+    await queueOffline();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(Storage.prototype, 'removeItem').mockImplementation(() => {
+      throw new DOMException('Storage disabled', 'SecurityError');
+    });
+
+    await expect(validator.flushQueue()).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+    expect(validator.isFlushingQueue).toBe(false);
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FormValidator } from '../assets/js/form-validation.js';
+
+describe('FormWizard', () => {
+  let count = 0;
+  let formId;
+  let validator;
+  let formData;
+  let wizard;
+
+  // Each test gets its own form id, since earlier wizards keep their pagehide listeners
+  const create = ({ id = `signup-${++count}` } = {}) => {
+    formId = id;
+    document.body.innerHTML = `
+      <form data-validate data-wizard id="${id}" action="/api/signup">
+        <fieldset data-step>
+          <legend>About you</legend>
+          <div class="form__group"><label for="name">Name</label><input id="name" name="name" required></div>
+          <div class="form__group"><label for="password">Password</label><input id="password" name="password" type="password"></div>
+        </fieldset>
+        <fieldset data-step>
+          <legend>Payment</legend>
+          <div class="form__group"><label for="company">Company</label><input id="company" name="company"></div>
+          <div class="form__group"><label for="cardNumber">Card number</label><input id="cardNumber" name="cardNumber"></div>
+          <div class="form__group"><label for="security">Security code</label><input id="security" name="security" autocomplete="cc-csc"></div>
+          <div class="form__group"><label for="notes">Notes</label><textarea id="notes" name="notes" data-no-persist></textarea></div>
+        </fieldset>
+        <div class="form__group"><button type="submit">Register</button></div>
+      </form>
+    `;
+    validator = new FormValidator({ locale: 'en' });
+    [formData] = validator.forms;
+    wizard = formData.wizard;
+    return wizard;
+  };
+
+  const form = () => document.getElementById(formId);
+  const type = (name, value) => {
+    form().elements[name].value = value;
+    form().elements[name].dispatchEvent(new Event('input', { bubbles: true }));
+  };
+  const draft = () => JSON.parse(sessionStorage.getItem(`fge-draft-${formId}`));
+  const visibleStep = () => Array.from(form().querySelectorAll('fieldset[data-step]')).findIndex(step => !step.hidden);
+
+  beforeEach(() => {
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  describe('steps', () => {
+    beforeEach(() => create());
+
+    it('shows one step at a time and the submit button only on the last', () => {
+      expect(visibleStep()).toBe(0);
+      expect(wizard.backButton.hidden).toBe(true);
+      expect(wizard.submitGroup.hidden).toBe(true);
+      expect(wizard.statusElement.textContent).toBe('Step 1 of 2: About you');
+    });
+
+    it('stays on a step until its fields are valid', async () => {
+      await expect(wizard.next()).resolves.toBe(false);
+      expect(visibleStep()).toBe(0);
+      expect(document.activeElement).toBe(form().elements.name);
+
+      type('name', 'Ada');
+      await expect(wizard.next()).resolves.toBe(true);
+      expect(visibleStep()).toBe(1);
+      expect(wizard.submitGroup.hidden).toBe(false);
+      expect(wizard.nextButton.hidden).toBe(true);
+    });
+
+    it('advances instead of submitting when Enter is pressed on an earlier step', async () => {
+      const submitForm = vi.spyOn(validator, 'submitForm');
+      type('name', 'Ada');
+
+      await validator.handleSubmit(formData);
+      await vi.waitFor(() => expect(visibleStep()).toBe(1));
+      expect(submitForm).not.toHaveBeenCalled();
+    });
+
+    it('goes back to the step holding the first invalid field on submit', async () => {
+      type('name', 'Ada');
+      await wizard.next();
+      type('name', '');
+
+      await validator.handleSubmit(formData);
+      expect(visibleStep()).toBe(0);
+      expect(document.activeElement).toBe(form().elements.name);
+    });
+  });
+
+  describe('drafts', () => {
+    const fillEverything = () => {
+      type('name', 'Ada');
+      type('password', 'hunter2');
+      type('company', 'Analytical Engines');
+      type('cardNumber', '4242424242424242');
+      type('security', '123');
+      type('notes', 'Private note');
+    };
+
+    it('saves the step and values when the page is hidden and restores them on the next visit', async () => {
+      create();
+      type('name', 'Ada');
+      await wizard.next();
+      type('company', 'Analytical Engines');
+      window.dispatchEvent(new Event('pagehide'));
+
+      expect(draft()).toEqual({ step: 1, values: [['name', 'Ada'], ['company', 'Analytical Engines']] });
+
+      create({ id: formId });
+      expect(form().elements.name.value).toBe('Ada');
+      expect(form().elements.company.value).toBe('Analytical Engines');
+      expect(visibleStep()).toBe(1);
+    });
+
+    it('saves shortly after typing stops', () => {
+      vi.useFakeTimers();
+      create();
+      type('name', 'Ada');
+      expect(draft()).toBeNull();
+
+      vi.advanceTimersByTime(300);
+      expect(draft().values).toContainEqual(['name', 'Ada']);
+    });
+
+    it('never saves passwords, payment fields or fields marked data-no-persist', () => {
+      create();
+      fillEverything();
+      wizard.saveDraft();
+
+      expect(draft().values.map(([name]) => name)).toEqual(['name', 'company']);
+    });
+
+    it('drops sensitive values from a stored draft on the way in', () => {
+      create();
+      sessionStorage.setItem(`fge-draft-${formId}`, JSON.stringify({
+        step: 0,
+        values: [['name', 'Ada'], ['cardNumber', '4242424242424242'], ['password', 'hunter2']]
+      }));
+
+      create({ id: formId });
+      expect(form().elements.name.value).toBe('Ada');
+      expect(form().elements.cardNumber.value).toBe('');
+      expect(form().elements.password.value).toBe('');
+    });
+
+    it('does not write the draft back after a reset until the visitor types again', () => {
+      vi.useFakeTimers();
+      create();
+      type('name', 'Ada');
+      validator.resetForm(formData);
+
+      vi.advanceTimersByTime(300);
+      window.dispatchEvent(new Event('pagehide'));
+      expect(draft()).toBeNull();
+      expect(visibleStep()).toBe(0);
+
+      type('name', 'Grace');
+      window.dispatchEvent(new Event('pagehide'));
+      expect(draft().values).toContainEqual(['name', 'Grace']);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LazyImage } from '../assets/js/lazy-image.js';
+
+// An IntersectionObserver the test scrolls by hand
+class FakeIntersectionObserver {
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.elements = new Set();
+    FakeIntersectionObserver.instance = this;
+  }
+
+  observe(element) {
+    this.elements.add(element);
+  }
+
+  unobserve(element) {
+    this.elements.delete(element);
+  }
+
+  intersect(element) {
+    this.callback([{ target: element, isIntersecting: true }], this);
+  }
+}
+
+describe('LazyImage', () => {
+  let img;
+  let lazyImage;
+
+  const create = (attributes = '') => {
+    document.body.innerHTML = `<img data-src="photo-600.jpg" src="placeholder.svg" alt="" ${attributes}>`;
+    img = document.querySelector('img');
+    lazyImage = new LazyImage(img);
+    lazyImage.mount();
+    return img;
+  };
+
+  const fire = type => img.dispatchEvent(new Event(type));
+
+  beforeEach(() => {
+    window.IntersectionObserver = FakeIntersectionObserver;
+    LazyImage.observer = null;
+  });
+
+  afterEach(() => {
+    lazyImage?.unmount();
+    LazyImage.maxRetries = 3;
+    delete window.IntersectionObserver;
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  it('keeps the placeholder until the image nears the viewport', () => {
+    create();
+
+    expect(img.getAttribute('src')).toBe('placeholder.svg');
+    expect(img.classList.contains('lazy')).toBe(true);
+    expect(FakeIntersectionObserver.instance.options.rootMargin).toBe(LazyImage.rootMargin);
+  });
+
+  it('swaps in src, srcset and sizes on intersection and blurs up on load', () => {
+    create('data-srcset="photo-600.jpg 600w, photo-1200.jpg 1200w" data-sizes="33vw"');
+    FakeIntersectionObserver.instance.intersect(img);
+
+    expect(img.getAttribute('src')).toBe('photo-600.jpg');
+    expect(img.getAttribute('srcset')).toBe('photo-600.jpg 600w, photo-1200.jpg 1200w');
+    expect(img.getAttribute('sizes')).toBe('33vw');
+    expect(FakeIntersectionObserver.instance.elements.has(img)).toBe(false);
+
+    fire('load');
+    expect(img.classList.contains('lazy--loaded')).toBe(true);
+  });
+
+  it('shows a low-quality placeholder straight away', () => {
+    create('data-placeholder="photo-40.jpg"');
+    expect(img.getAttribute('src')).toBe('photo-40.jpg');
+  });
+
+  it('retries failed loads with exponential backoff', () => {
+    vi.useFakeTimers();
+    create();
+    FakeIntersectionObserver.instance.intersect(img);
+    const setSrc = vi.spyOn(img, 'src', 'set');
+
+    fire('error');
+    vi.advanceTimersByTime(999);
+    expect(setSrc).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1);
+    expect(setSrc).toHaveBeenCalledTimes(1);
+
+    fire('error');
+    vi.advanceTimersByTime(2000);
+    expect(setSrc).toHaveBeenCalledTimes(2);
+
+    fire('load');
+    expect(img.classList.contains('lazy--loaded')).toBe(true);
+    expect(img.classList.contains('lazy--error')).toBe(false);
+  });
+
+  it('shows the broken-image fallback once retries run out', () => {
+    vi.useFakeTimers();
+    create('data-srcset="photo-600.jpg 600w"');
+    FakeIntersectionObserver.instance.intersect(img);
+
+    for (let attempt = 0; attempt < LazyImage.maxRetries; attempt++) {
+      fire('error');
+      vi.runOnlyPendingTimers();
+    }
+    fire('error');
+
+    expect(img.classList.contains('lazy--error')).toBe(true);
+    expect(img.src).toBe(LazyImage.fallbackSrc);
+    expect(img.hasAttribute('srcset')).toBe(false);
+  });
+
+  it('uses a per-image fallback when one is given', () => {
+    LazyImage.maxRetries = 0;
+    create('data-fallback="missing.svg"');
+    FakeIntersectionObserver.instance.intersect(img);
+    fire('error');
+
+    expect(img.getAttribute('src')).toBe('missing.svg');
+  });
+
+  it('waits for the connection to return before retrying', () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    create();
+    FakeIntersectionObserver.instance.intersect(img);
+    const setSrc = vi.spyOn(img, 'src', 'set');
+
+    fire('error');
+    expect(setSrc).not.toHaveBeenCalled();
+
+    window.dispatchEvent(new Event('online'));
+    expect(setSrc).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels a pending retry when unmounted', () => {
+    vi.useFakeTimers();
+    create();
+    FakeIntersectionObserver.instance.intersect(img);
+    const setSrc = vi.spyOn(img, 'src', 'set');
+
+    fire('error');
+    lazyImage.unmount();
+    vi.runAllTimers();
+
+    expect(setSrc).not.toHaveBeenCalled();
+  });
+
+  it('falls back to native lazy loading without IntersectionObserver', () => {
+    delete window.IntersectionObserver;
+    HTMLImageElement.prototype.loading = '';
+    create();
+    delete HTMLImageElement.prototype.loading;
+
+    expect(img.loading).toBe('lazy');
+    expect(img.getAttribute('src')).toBe('photo-600.jpg');
+  });
+});
@@ -0,0 +1,373 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { MainApp } from '../assets/js/main.js';
+
+// An IntersectionObserver the test drives by hand
+class FakeIntersectionObserver {
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.elements = new Set();
+    FakeIntersectionObserver.instances.push(this);
+  }
+
+  observe(element) {
+    this.elements.add(element);
+  }
+
+  unobserve(element) {
+    this.elements.delete(element);
+  }
+
+  disconnect() {
+    this.elements.clear();
+  }
+
+  static trigger(element, { isIntersecting, top = 0 }) {
+    FakeIntersectionObserver.instances
+      .filter(observer => observer.elements.has(element))
+      .forEach(observer => observer.callback([{ target: element, isIntersecting, boundingClientRect: { top } }], observer));
+  }
+}
+
+FakeIntersectionObserver.instances = [];
+
+describe('MainApp', () => {
+  let app;
+
+  const mount = (markup = '') => {
+    document.body.innerHTML = `
+      <header class="header">
+        <div class="header__container">
+          <button class="nav-toggle" aria-expanded="false" aria-controls="mobile-nav"></button>
+        </div>
+        <nav class="nav nav--mobile" id="mobile-nav" data-component="nav-drawer">
+          <a class="nav__link" href="#about">About</a>
+        </nav>
+      </header>
+      <main>${markup}</main>
+    `;
+    app = new MainApp();
+    return app;
+  };
+
+  afterEach(() => {
+    app?.destroy();
+    app = null;
+    document.body.innerHTML = '';
+    document.body.className = '';
+    history.replaceState(null, '', '/');
+  });
+
+  describe('mobile navigation', () => {
+    let toggle;
+    let nav;
+
+    const isOpen = () => nav.classList.contains('nav--open');
+
+    beforeEach(() => {
+      mount('<p id="outside">Content</p>');
+      toggle = document.querySelector('.nav-toggle');
+      nav = document.querySelector('.nav--mobile');
+    });
+
+    it('opens from the toggle and locks page scroll', () => {
+      toggle.click();
+
+      expect(isOpen()).toBe(true);
+      expect(toggle.getAttribute('aria-expanded')).toBe('true');
+      expect(document.body.classList.contains('scroll-locked')).toBe(true);
+    });
+
+    it('closes from the toggle and releases the scroll lock', () => {
+      toggle.click();
+      toggle.click();
+
+      expect(isOpen()).toBe(false);
+      expect(toggle.getAttribute('aria-expanded')).toBe('false');
+      expect(document.body.classList.contains('scroll-locked')).toBe(false);
+    });
+
+    it('closes on Escape, on a nav link and on a click outside the header', () => {
+      toggle.click();
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+      expect(isOpen()).toBe(false);
+
+      toggle.click();
+      nav.querySelector('.nav__link').dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+      expect(isOpen()).toBe(false);
+
+      toggle.click();
+      document.getElementById('outside').click();
+      expect(isOpen()).toBe(false);
+    });
+
+    it('closes when the viewport grows past the mobile breakpoint', () => {
+      app.destroy();
+      const listeners = [];
+      window.matchMedia = vi.fn(() => ({
+        matches: false,
+        addEventListener: (type, listener) => listeners.push(listener)
+      }));
+      // As main.css sets it
+      document.documentElement.style.setProperty('--nav-breakpoint', '768px');
+      mount('<p id="outside">Content</p>');
+      toggle = document.querySelector('.nav-toggle');
+      nav = document.querySelector('.nav--mobile');
+
+      toggle.click();
+      listeners.forEach(listener => listener({ matches: true }));
+
+      expect(window.matchMedia).toHaveBeenCalledWith('(min-width: 768px)');
+      expect(isOpen()).toBe(false);
+      delete window.matchMedia;
+      document.documentElement.style.removeProperty('--nav-breakpoint');
+    });
+
+    it('stops responding once destroyed', () => {
+      app.destroy();
+      toggle.click();
+
+      expect(isOpen()).toBe(false);
+      expect(document.querySelector('.back-to-top')).toBeNull();
+    });
+  });
+
+  describe('lightbox navigation', () => {
+    let images;
+    let lightbox;
+
+    beforeEach(async () => {
+      mount(`
+        <div class="gallery-grid" data-component="lightbox" data-lightbox-group="gallery">
+          <img data-lightbox="one.jpg" alt="One">
+          <img data-lightbox="two.jpg" alt="Two">
+          <img data-lightbox="three.jpg" alt="Three">
+        </div>
+      `);
+      images = Array.from(document.querySelectorAll('[data-lightbox]'));
+
+      // The lightbox module is loaded on demand
+      await vi.waitFor(() => expect(app.getLightbox(images[0])).toBeTruthy());
+      lightbox = app.getLightbox(images[0]);
+    });
+
+    const caption = () => document.querySelector('.lightbox__caption').textContent;
+
+    it('wraps from the first image back to the last', () => {
+      app.openLightbox(images[0]);
+      lightbox.prev();
+
+      expect(caption()).toBe('Three');
+      expect(document.querySelector('.lightbox__counter').textContent).toBe('3 of 3');
+    });
+
+    it('wraps from the last image forward to the first', () => {
+      app.openLightbox(images[2]);
+      lightbox.next();
+
+      expect(caption()).toBe('One');
+    });
+
+    it('wraps with the arrow keys', () => {
+      app.openLightbox(images[0]);
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft' }));
+      expect(caption()).toBe('Three');
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight' }));
+      expect(caption()).toBe('One');
+    });
+
+    it('skips hidden images and does not navigate a single visible image', () => {
+      images[1].hidden = true;
+      images[2].hidden = true;
+      app.openLightbox(images[0]);
+      lightbox.next();
+
+      expect(caption()).toBe('One');
+      expect(document.querySelector('.lightbox__nav--next').hidden).toBe(true);
+    });
+
+    it('closes and clears the photo from the URL', () => {
+      app.openLightbox(images[1]);
+      expect(location.search).toBe('?photo=gallery-2');
+
+      app.closeLightbox();
+      expect(lightbox.isOpen).toBe(false);
+      expect(location.search).toBe('');
+    });
+  });
+
+  describe('scroll state', () => {
+    let header;
+    let sentinels;
+    let probe;
+
+    // The probe rests half above the viewport; a smaller top means the page moved down
+    const scrollDown = () => FakeIntersectionObserver.trigger(probe, { isIntersecting: true, top: -30 });
+    const scrollUp = () => FakeIntersectionObserver.trigger(probe, { isIntersecting: true, top: -10 });
+
+    beforeEach(() => {
+      window.IntersectionObserver = FakeIntersectionObserver;
+      mount(`
+        <section id="mission">Mission</section>
+        <section id="team">Team</section>
+      `);
+      header = document.querySelector('.header');
+      sentinels = document.querySelectorAll('.scroll-sentinel:not(.scroll-sentinel--probe)');
+      probe = document.querySelector('.scroll-sentinel--probe');
+    });
+
+    afterEach(() => {
+      delete window.IntersectionObserver;
+      FakeIntersectionObserver.instances = [];
+      window.scrollY = 0;
+    });
+
+    it('marks the header scrolled and shows back-to-top once their offsets scroll away', () => {
+      const [headerSentinel, backToTopSentinel] = sentinels;
+      expect(headerSentinel.style.top).toBe('50px');
+      expect(backToTopSentinel.style.top).toBe('200px');
+
+      FakeIntersectionObserver.trigger(headerSentinel, { isIntersecting: false, top: -10 });
+      expect(header.classList.contains('header--scrolled')).toBe(true);
+      expect(app.backToTopBtn.classList.contains('back-to-top--visible')).toBe(false);
+
+      FakeIntersectionObserver.trigger(backToTopSentinel, { isIntersecting: false, top: -10 });
+      expect(app.backToTopBtn.classList.contains('back-to-top--visible')).toBe(true);
+
+      FakeIntersectionObserver.trigger(headerSentinel, { isIntersecting: true });
+      expect(header.classList.contains('header--scrolled')).toBe(false);
+    });
+
+    it('watches a single probe laid across the top of the viewport', () => {
+      expect(document.querySelectorAll('.scroll-sentinel')).toHaveLength(3);
+      expect(probe.style.top).toBe('-20px');
+      expect(probe.style.height).toBe('40px');
+    });
+
+    it('hides the header while scrolling down and shows it on scroll up', () => {
+      FakeIntersectionObserver.trigger(sentinels[0], { isIntersecting: false, top: -10 });
+
+      scrollDown();
+      expect(header.classList.contains('header--hidden')).toBe(true);
+
+      scrollUp();
+      expect(header.classList.contains('header--hidden')).toBe(false);
+    });
+
+    it('lays the probe back across the top after each move', () => {
+      FakeIntersectionObserver.trigger(sentinels[0], { isIntersecting: false, top: -10 });
+      window.scrollY = 300;
+      scrollDown();
+      expect(probe.style.top).toBe('280px');
+
+      // The report of the probe settling again says nothing about direction
+      FakeIntersectionObserver.trigger(probe, { isIntersecting: true, top: -20 });
+      expect(header.classList.contains('header--hidden')).toBe(true);
+    });
+
+    it('keeps the header while it holds focus or the page is near the top', () => {
+      scrollDown();
+      expect(header.classList.contains('header--hidden')).toBe(false);
+
+      FakeIntersectionObserver.trigger(sentinels[0], { isIntersecting: false, top: -10 });
+      document.querySelector('.nav-toggle').focus();
+      scrollDown();
+      expect(header.classList.contains('header--hidden')).toBe(false);
+    });
+
+    it('activates the nav link of the section in view', () => {
+      app.destroy();
+      document.querySelector('.nav--mobile').insertAdjacentHTML('beforeend', `
+        <a class="nav__link" href="#mission">Mission</a>
+        <a class="nav__link" href="#team">Team</a>
+      `);
+      app = new MainApp();
+
+      const mission = document.getElementById('mission');
+      const team = document.getElementById('team');
+      const link = id => document.querySelector(`.nav__link[href="#${id}"]`);
+
+      FakeIntersectionObserver.trigger(team, { isIntersecting: true });
+      expect(link('team').classList.contains('nav__link--active')).toBe(true);
+      expect(link('team').getAttribute('aria-current')).toBe('location');
+
+      FakeIntersectionObserver.trigger(mission, { isIntersecting: true });
+      expect(link('mission').classList.contains('nav__link--active')).toBe(true);
+      expect(link('team').classList.contains('nav__link--active')).toBe(false);
+      expect(link('team').hasAttribute('aria-current')).toBe(false);
+    });
+
+    it('follows the about page sections from its page nav and the drawer submenu', () => {
+      app.destroy();
+      const page = new DOMParser().parseFromString(readFileSync('about.html', 'utf8'), 'text/html');
+      document.body.innerHTML = page.body.innerHTML;
+      app = new MainApp();
+
+      FakeIntersectionObserver.trigger(document.getElementById('team'), { isIntersecting: true });
+      const active = Array.from(document.querySelectorAll('.nav__link--active[href^="#"]'));
+
+      expect(active.map(link => link.closest('nav').className)).toEqual(['nav nav--mobile', 'page-nav']);
+      expect(active.every(link => link.getAttribute('href') === '#team')).toBe(true);
+    });
+
+    it('removes its sentinels when destroyed', () => {
+      app.destroy();
+      expect(document.querySelector('.scroll-sentinel')).toBeNull();
+    });
+  });
+
+  describe('smooth scrolling', () => {
+    const reduceMotion = matches => {
+      window.matchMedia = vi.fn(() => ({ matches }));
+    };
+
+    beforeEach(() => {
+      vi.spyOn(window, 'scrollTo').mockImplementation(() => {});
+      mount();
+    });
+
+    afterEach(() => {
+      delete window.matchMedia;
+    });
+
+    it('animates back to the top by default', () => {
+      reduceMotion(false);
+      app.backToTopBtn.click();
+
+      expect(window.scrollTo).toHaveBeenCalledWith({ top: 0, behavior: 'smooth' });
+    });
+
+    it('jumps instead when the visitor prefers reduced motion', () => {
+      reduceMotion(true);
+      app.backToTopBtn.click();
+
+      expect(window.scrollTo).toHaveBeenCalledWith({ top: 0, behavior: 'auto' });
+    });
+  });
+
+  describe('components', () => {
+    it('mounts tabs added after start-up exactly once', async () => {
+      mount();
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <div class="tabs" data-component="tabs">
+          <div class="tabs__nav"><button class="tabs__btn">A</button><button class="tabs__btn">B</button></div>
+          <div class="tabs__content">A</div>
+          <div class="tabs__content">B</div>
+        </div>
+      `;
+      document.querySelector('main').appendChild(container);
+      await vi.waitFor(() => expect(container.querySelector('[role="tab"]')).not.toBeNull());
+
+      app.components.scan();
+      const onChange = vi.fn();
+      container.addEventListener('tabchange', onChange);
+      container.querySelectorAll('.tabs__btn')[1].click();
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(container.querySelectorAll('.tabs__content')[1].classList.contains('tabs__content--active')).toBe(true);
+    });
+  });
+});
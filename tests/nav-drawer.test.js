@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { NavDrawer } from '../assets/js/nav-drawer.js';
+import { ModalManager } from '../assets/js/modal-manager.js';
+
+describe('NavDrawer', () => {
+  let drawer;
+  let toggle;
+  let nav;
+
+  const create = (items = '') => {
+    document.body.innerHTML = `
+      <header class="header">
+        <div class="header__container">
+          <a class="header__logo" href="index.html">FGE 2025</a>
+          <button class="nav-toggle" aria-expanded="false" aria-controls="mobile-nav"></button>
+        </div>
+        <nav class="nav nav--mobile" id="mobile-nav">
+          <ul class="nav__list">
+            <li class="nav__item"><a class="nav__link" href="#home">Home</a></li>
+            ${items}
+            <li class="nav__item"><a class="nav__link" href="#register">Register</a></li>
+          </ul>
+        </nav>
+      </header>
+      <main><button id="behind">Behind</button></main>
+      <footer>Footer</footer>
+    `;
+    toggle = document.querySelector('.nav-toggle');
+    nav = document.getElementById('mobile-nav');
+    drawer = new NavDrawer(nav);
+    drawer.mount();
+    return drawer;
+  };
+
+  const key = (name, options = {}) => {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options }));
+  };
+
+  const touch = (type, x, y) => {
+    const event = new Event(type);
+    event[type === 'touchstart' ? 'touches' : 'changedTouches'] = [{ clientX: x, clientY: y }];
+    nav.dispatchEvent(event);
+  };
+
+  afterEach(() => {
+    drawer?.unmount();
+    drawer = null;
+    ModalManager.shared.destroy();
+    document.body.innerHTML = '';
+    document.documentElement.style.removeProperty('--nav-breakpoint');
+    delete window.matchMedia;
+  });
+
+  describe('opening and closing', () => {
+    beforeEach(() => create());
+
+    it('moves focus into the drawer and makes the page behind it inert', () => {
+      toggle.click();
+
+      expect(drawer.isOpen).toBe(true);
+      expect(document.activeElement.getAttribute('href')).toBe('#home');
+      expect(document.querySelector('main').hasAttribute('inert')).toBe(true);
+      expect(document.querySelector('footer').hasAttribute('inert')).toBe(true);
+      expect(document.querySelector('.header__logo').hasAttribute('inert')).toBe(true);
+      expect(toggle.hasAttribute('inert')).toBe(false);
+      expect(nav.hasAttribute('inert')).toBe(false);
+    });
+
+    it('returns focus to the toggle and restores the page on Escape', () => {
+      toggle.click();
+      key('Escape');
+
+      expect(drawer.isOpen).toBe(false);
+      expect(document.activeElement).toBe(toggle);
+      expect(document.querySelector('[inert]')).toBeNull();
+      expect(document.body.classList.contains('scroll-locked')).toBe(false);
+    });
+
+    it('leaves elements that were already inert alone', () => {
+      document.querySelector('footer').setAttribute('inert', '');
+      toggle.click();
+      key('Escape');
+
+      expect(document.querySelector('footer').hasAttribute('inert')).toBe(true);
+    });
+
+    it('traps Tab between the toggle and the last link', () => {
+      toggle.click();
+      nav.querySelector('[href="#register"]').focus();
+
+      key('Tab');
+      expect(document.activeElement).toBe(toggle);
+
+      key('Tab', { shiftKey: true });
+      expect(document.activeElement.getAttribute('href')).toBe('#register');
+    });
+
+    it('closes on a swipe back but not on a vertical scroll', () => {
+      toggle.click();
+
+      touch('touchstart', 300, 100);
+      touch('touchend', 280, 400);
+      expect(drawer.isOpen).toBe(true);
+
+      touch('touchstart', 300, 100);
+      touch('touchend', 200, 110);
+      expect(drawer.isOpen).toBe(false);
+    });
+
+    it('closes on a click outside it, but not on one inside', () => {
+      toggle.click();
+      nav.click();
+      expect(drawer.isOpen).toBe(true);
+
+      document.getElementById('behind').click();
+      expect(drawer.isOpen).toBe(false);
+      expect(document.activeElement).not.toBe(toggle);
+    });
+
+    it('closes when unmounted', () => {
+      toggle.click();
+      drawer.unmount();
+
+      expect(nav.classList.contains('nav--open')).toBe(false);
+      expect(document.querySelector('[inert]')).toBeNull();
+    });
+  });
+
+  describe('submenus', () => {
+    const submenuItem = `
+      <li class="nav__item">
+        <a class="nav__link" href="#schedule">Schedule</a>
+        <ul class="nav__submenu">
+          <li class="nav__item"><a class="nav__link" href="#day-1">Day 1</a></li>
+          <li class="nav__item"><a class="nav__link" href="#day-2">Day 2</a></li>
+        </ul>
+      </li>
+    `;
+
+    it('adds a collapsed toggle for each nested menu', () => {
+      create(submenuItem);
+      const button = nav.querySelector('.nav__submenu-toggle');
+      const submenu = nav.querySelector('.nav__submenu');
+
+      expect(button.getAttribute('aria-controls')).toBe(submenu.id);
+      expect(button.getAttribute('aria-expanded')).toBe('false');
+      expect(button.getAttribute('aria-label')).toBe('Schedule pages');
+      expect(submenu.hidden).toBe(true);
+
+      button.click();
+      expect(button.getAttribute('aria-expanded')).toBe('true');
+      expect(submenu.hidden).toBe(false);
+    });
+
+    it('keeps the drawer open while a submenu is toggled', () => {
+      create(submenuItem);
+      toggle.click();
+      nav.querySelector('.nav__submenu-toggle').click();
+
+      expect(drawer.isOpen).toBe(true);
+    });
+
+    it('expands the submenu holding the current page', () => {
+      create(submenuItem.replace('<a class="nav__link" href="#day-2">', '<a class="nav__link nav__link--active" href="#day-2">'));
+      expect(nav.querySelector('.nav__submenu').hidden).toBe(false);
+    });
+
+    it('leaves links inside collapsed submenus out of the focus trap', () => {
+      create(submenuItem);
+      const names = () => drawer.getFocusableElements().map(element => {
+        return element === toggle ? 'toggle' : element.getAttribute('href') || element.className;
+      });
+
+      expect(names()).toEqual(['toggle', '#home', '#schedule', 'nav__submenu-toggle', '#register']);
+
+      nav.querySelector('.nav__submenu-toggle').click();
+      expect(names()).toContain('#day-1');
+    });
+  });
+
+  describe('breakpoint', () => {
+    // A matchMedia whose query result the test flips
+    const stubMatchMedia = () => {
+      const query = new EventTarget();
+      query.matches = false;
+      window.matchMedia = vi.fn(media => Object.assign(query, { media }));
+      return query;
+    };
+
+    it('closes when the viewport widens past the stylesheet\'s breakpoint', () => {
+      const query = stubMatchMedia();
+      document.documentElement.style.setProperty('--nav-breakpoint', '900px');
+      create();
+      toggle.click();
+
+      expect(window.matchMedia).toHaveBeenCalledWith('(min-width: 900px)');
+
+      query.matches = true;
+      query.dispatchEvent(Object.assign(new Event('change'), { matches: true }));
+      expect(drawer.isOpen).toBe(false);
+      expect(document.querySelector('[inert]')).toBeNull();
+    });
+
+    it('does not guess a breakpoint the stylesheet does not set', () => {
+      stubMatchMedia();
+      create();
+
+      expect(NavDrawer.getBreakpoint()).toBeNull();
+      expect(window.matchMedia).not.toHaveBeenCalled();
+    });
+
+    it('matches the min-width of every nav layout rule in main.css', () => {
+      const css = readFileSync('assets/css/main.css', 'utf8');
+      const breakpoint = css.match(/--nav-breakpoint:\s*([^;]+);/)[1].trim();
+      const navRules = Array.from(css.matchAll(/@media \(min-width: ([^)]+)\) \{([\s\S]*?)\n\}/g))
+        .filter(([, , rules]) => /\.nav(-toggle)?\s*\{/.test(rules));
+
+      expect(navRules.length).toBeGreaterThan(0);
+      navRules.forEach(([, width]) => expect(width).toBe(breakpoint));
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PersonalAgenda } from '../assets/js/personal-agenda.js';
+import { createAgenda } from './fixtures/agenda.js';
+
+// Sessions as Schedule hands them over: flattened with their day's date and track name
+const flatten = agenda => agenda.days.flatMap(day => day.sessions.map(session => ({
+  ...session,
+  date: day.date,
+  trackName: agenda.tracks[session.track]
+})));
+
+// Undoes RFC 5545 line folding
+const unfold = ics => ics.replace(/\r\n /g, '');
+
+describe('PersonalAgenda', () => {
+  describe('starred sessions', () => {
+    beforeEach(() => localStorage.clear());
+
+    afterEach(() => vi.restoreAllMocks());
+
+    it('persists stars in localStorage', () => {
+      const agenda = new PersonalAgenda();
+
+      expect(agenda.toggle('keynote')).toBe(true);
+      expect(agenda.toggle('lunch')).toBe(true);
+      expect(JSON.parse(localStorage.getItem('fge-agenda'))).toEqual(['keynote', 'lunch']);
+
+      // A fresh instance, as on the next page load, reads the same stars
+      expect(new PersonalAgenda().has('keynote')).toBe(true);
+    });
+
+    it('unstars a session that is toggled again', () => {
+      const agenda = new PersonalAgenda();
+      agenda.toggle('keynote');
+
+      expect(agenda.toggle('keynote')).toBe(false);
+      expect(agenda.ids().size).toBe(0);
+    });
+
+    it('keeps separate storage keys apart', () => {
+      new PersonalAgenda('other-agenda').toggle('keynote');
+      expect(new PersonalAgenda().has('keynote')).toBe(false);
+    });
+
+    it('treats unreadable stored data as an empty agenda', () => {
+      localStorage.setItem('fge-agenda', '{not json');
+      expect(new PersonalAgenda().ids()).toEqual(new Set());
+
+      localStorage.setItem('fge-agenda', '{"keynote": true}');
+      expect(new PersonalAgenda().ids()).toEqual(new Set());
+    });
+
+    it('still reports the new state when storage is full', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      });
+
+      expect(new PersonalAgenda().toggle('keynote')).toBe(true);
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('findConflicts', () => {
+    const session = (id, start, end, date = '2025-03-15') => ({ id, date, start, end });
+
+    it('flags overlapping sessions both ways', () => {
+      const conflicts = PersonalAgenda.findConflicts([
+        session('keynote', '09:00', '10:00'),
+        session('robots', '09:30', '10:30'),
+        session('workshop', '09:45', '11:00')
+      ]);
+
+      expect(conflicts.get('keynote')).toEqual(['robots', 'workshop']);
+      expect(conflicts.get('robots')).toEqual(['keynote', 'workshop']);
+      expect(conflicts.get('workshop')).toEqual(['keynote', 'robots']);
+    });
+
+    it('does not flag back-to-back sessions or the same times on another day', () => {
+      const conflicts = PersonalAgenda.findConflicts([
+        session('keynote', '09:00', '10:00'),
+        session('panel', '10:00', '11:00'),
+        session('replay', '09:00', '10:00', '2025-03-16')
+      ]);
+
+      expect(conflicts.size).toBe(0);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it.each([
+      ['after US daylight saving starts', '2025-03-15', '09:00', 'America/Los_Angeles', '2025-03-15T16:00:00.000Z'],
+      ['before US daylight saving starts', '2025-03-08', '09:00', 'America/Los_Angeles', '2025-03-08T17:00:00.000Z'],
+      ['on the day the clocks go forward', '2025-03-09', '10:00', 'America/Los_Angeles', '2025-03-09T17:00:00.000Z'],
+      ['in a zone ahead of UTC', '2025-03-30', '10:00', 'Europe/Berlin', '2025-03-30T08:00:00.000Z'],
+      ['in a half-hour offset zone', '2025-03-15', '09:00', 'Asia/Kolkata', '2025-03-15T03:30:00.000Z'],
+      ['across midnight UTC', '2025-03-15', '18:30', 'America/Los_Angeles', '2025-03-16T01:30:00.000Z']
+    ])('converts venue time %s', (_, date, time, timeZone, expected) => {
+      expect(PersonalAgenda.zonedTimeToUtc(date, time, timeZone).toISOString()).toBe(expected);
+    });
+  });
+
+  describe('toICS', () => {
+    const now = new Date('2025-02-01T12:34:56.789Z');
+    const agenda = { ...createAgenda(), venue: 'Moscone Center' };
+
+    it('writes a calendar with CRLF line endings and one event per session', () => {
+      const ics = PersonalAgenda.toICS(agenda, flatten(agenda), { now });
+      const lines = ics.split('\r\n');
+
+      expect(ics.endsWith('\r\n')).toBe(true);
+      expect(ics.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).toContain('VERSION:2.0');
+      expect(lines.at(-2)).toBe('END:VCALENDAR');
+      expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(4);
+      expect(lines.filter(line => line === 'END:VEVENT')).toHaveLength(4);
+    });
+
+    it('converts venue times to UTC and stamps each event', () => {
+      const [keynote] = flatten(agenda);
+      const lines = unfold(PersonalAgenda.toICS(agenda, [keynote], { now })).split('\r\n');
+
+      expect(lines).toContain('UID:keynote@futuregadgetexpo.com');
+      expect(lines).toContain('DTSTAMP:20250201T123456Z');
+      expect(lines).toContain('DTSTART:20250315T160000Z');
+      expect(lines).toContain('DTEND:20250315T170000Z');
+      expect(lines).toContain('LOCATION:Main Auditorium\\, Moscone Center');
+      expect(lines).toContain('CATEGORIES:AI & Machine Learning');
+    });
+
+    it('follows the agenda time zone rather than the visitor\'s', () => {
+      const [keynote] = flatten(agenda);
+      const ics = PersonalAgenda.toICS({ ...agenda, timezone: 'Europe/Berlin' }, [keynote], { now });
+
+      expect(ics).toContain('DTSTART:20250315T080000Z');
+    });
+
+    it('escapes text values', () => {
+      const session = {
+        ...flatten(agenda)[0],
+        title: 'Q&A; bots, brains \\ more',
+        description: 'Line one\nLine two'
+      };
+      const lines = unfold(PersonalAgenda.toICS(agenda, [session], { now })).split('\r\n');
+
+      expect(lines).toContain('SUMMARY:Q&A\\; bots\\, brains \\\\ more');
+      expect(lines).toContain('DESCRIPTION:Line one\\nLine two');
+    });
+
+    it('folds lines longer than 75 octets without splitting characters', () => {
+      const session = { ...flatten(agenda)[0], description: 'Ünïcödé talk — '.repeat(20) };
+      const ics = PersonalAgenda.toICS(agenda, [session], { now });
+      const encoder = new TextEncoder();
+
+      ics.split('\r\n').forEach(line => {
+        expect(encoder.encode(line).length).toBeLessThanOrEqual(75);
+      });
+      expect(unfold(ics)).toContain(`DESCRIPTION:${session.description}`);
+    });
+  });
+});
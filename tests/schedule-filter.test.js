@@ -0,0 +1,218 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Schedule } from '../assets/js/schedule.js';
+import { ScheduleFilter } from '../assets/js/schedule-filter.js';
+import { createAgenda } from './fixtures/agenda.js';
+
+// Clock readings given in venue time (the fixture's America/Los_Angeles, UTC-7 in March 2025)
+const venueTime = time => new Date(`${time}-07:00`);
+
+describe('ScheduleFilter', () => {
+  let schedule;
+  let now;
+
+  const mountSchedule = async (time = '2025-03-15T09:45:00') => {
+    now = venueTime(time);
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(createAgenda()) })));
+    document.body.innerHTML = '<div data-schedule-src="/data/agenda.json"></div>';
+    schedule = new Schedule(document.querySelector('[data-schedule-src]'), { clock: () => now });
+
+    schedule.mount();
+    await schedule.ready;
+    return schedule.filter;
+  };
+
+  const ids = sessions => sessions.map(session => session.id);
+  const visibleIds = () => Array.from(document.querySelectorAll('.tabs__content:not(#my-agenda) .schedule-item'))
+    .filter(item => !item.hidden)
+    .map(item => item.getAttribute('data-session-id'));
+  const badges = () => Array.from(document.querySelectorAll('.schedule-badge'))
+    .map(badge => `${badge.closest('.schedule-item').getAttribute('data-session-id')}: ${badge.textContent}`);
+
+  const choose = (name, value) => {
+    const select = document.querySelector(`[data-schedule-filter="${name}"]`);
+    select.value = value;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    Element.prototype.scrollIntoView = vi.fn();
+  });
+
+  afterEach(() => {
+    schedule?.unmount();
+    schedule = null;
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  describe('toZonedParts', () => {
+    it('reads the wall-clock date and time at the venue', () => {
+      expect(ScheduleFilter.toZonedParts(new Date('2025-03-15T16:05:00Z'), 'America/Los_Angeles'))
+        .toEqual({ date: '2025-03-15', time: '09:05' });
+    });
+
+    it('stays on the venue\'s date when UTC has already moved on', () => {
+      expect(ScheduleFilter.toZonedParts(new Date('2025-03-16T05:00:00Z'), 'America/Los_Angeles'))
+        .toEqual({ date: '2025-03-15', time: '22:00' });
+    });
+
+    it('uses a 24-hour clock at midnight', () => {
+      expect(ScheduleFilter.toZonedParts(new Date('2025-03-15T07:00:00Z'), 'America/Los_Angeles'))
+        .toEqual({ date: '2025-03-15', time: '00:00' });
+    });
+  });
+
+  describe('getTimeline', () => {
+    it('finds the running sessions and the next start time', async () => {
+      const filter = await mountSchedule('2025-03-15T09:45:00');
+      const { current, next } = filter.getTimeline();
+
+      expect(ids(current)).toEqual(['keynote', 'robots']);
+      expect(ids(next)).toEqual(['lunch']);
+    });
+
+    it('treats a session as over at its end time', async () => {
+      const filter = await mountSchedule('2025-03-15T10:00:00');
+      expect(ids(filter.getTimeline().current)).toEqual(['robots']);
+    });
+
+    it('looks ahead to the first session before the expo opens', async () => {
+      const filter = await mountSchedule('2025-03-14T18:00:00');
+      expect(filter.getTimeline()).toMatchObject({ current: [], next: [expect.objectContaining({ id: 'keynote' })] });
+    });
+
+    it('looks ahead to the next day in the evening', async () => {
+      const filter = await mountSchedule('2025-03-15T20:00:00');
+      expect(ids(filter.getTimeline().next)).toEqual(['ethics']);
+    });
+
+    it('returns nothing once the expo is over', async () => {
+      const filter = await mountSchedule('2025-03-17T09:00:00');
+      expect(filter.getTimeline()).toEqual({ current: [], next: [] });
+    });
+
+    it('only considers sessions that match the filters', async () => {
+      const filter = await mountSchedule('2025-03-15T09:45:00');
+      choose('track', 'ai');
+
+      const { current, next } = filter.getTimeline();
+      expect(ids(current)).toEqual(['keynote']);
+      expect(ids(next)).toEqual(['ethics']);
+    });
+  });
+
+  describe('filters', () => {
+    it('filters by track', async () => {
+      await mountSchedule();
+      choose('track', 'robotics');
+
+      expect(visibleIds()).toEqual(['robots']);
+      expect(document.querySelector('.schedule-filters__status').textContent).toBe('Showing 1 of 4 sessions');
+    });
+
+    it('filters by room and says when a day has no matches', async () => {
+      await mountSchedule();
+      choose('room', 'Main Lobby');
+
+      expect(visibleIds()).toEqual(['lunch']);
+      expect(document.querySelector('#day-1 .schedule-filters__empty').hidden).toBe(true);
+      expect(document.querySelector('#day-2 .schedule-filters__empty').hidden).toBe(false);
+    });
+
+    it('filters by speaker, combined with the other filters', async () => {
+      await mountSchedule();
+      choose('speaker', 'marcus-johnson');
+      expect(visibleIds()).toEqual(['robots', 'ethics']);
+
+      choose('track', 'ai');
+      expect(visibleIds()).toEqual(['ethics']);
+
+      choose('speaker', '');
+      choose('track', '');
+      expect(document.querySelector('.schedule-filters__status').textContent).toBe('Showing all 4 sessions');
+    });
+
+    it('lists speakers by name', async () => {
+      await mountSchedule();
+      const options = Array.from(document.querySelectorAll('[data-schedule-filter="speaker"] option'))
+        .map(option => option.textContent);
+
+      expect(options).toEqual(['All speakers', 'Dr. Sarah Chen', 'Marcus Johnson']);
+    });
+  });
+
+  describe('Now / Up next', () => {
+    it('badges the running and next sessions and scrolls to them', async () => {
+      const filter = await mountSchedule('2025-03-15T09:45:00');
+      filter.liveButton.click();
+
+      expect(filter.liveButton.getAttribute('aria-pressed')).toBe('true');
+      expect(badges()).toEqual(['keynote: Now', 'robots: Now', 'lunch: Up next']);
+      expect(document.querySelector('.schedule-filters__status').textContent).toBe(
+        'Showing all 4 sessions · Happening now: Opening Keynote (Main Auditorium), Robots at Home (Hall B)' +
+        ' · Up next at 12:00 PM: Lunch (Main Lobby)'
+      );
+      expect(document.getElementById('session-keynote').scrollIntoView).toHaveBeenCalled();
+    });
+
+    it('brings tomorrow\'s first session into view in the evening', async () => {
+      const filter = await mountSchedule('2025-03-15T20:00:00');
+      const dayTab = vi.spyOn(document.getElementById('day-2-tab'), 'click');
+      filter.setLive(true);
+
+      expect(badges()).toEqual(['ethics: Up next']);
+      expect(dayTab).toHaveBeenCalled();
+      expect(document.getElementById('session-ethics').scrollIntoView).toHaveBeenCalled();
+    });
+
+    it('keeps the live status and re-picks the badges when a filter changes', async () => {
+      const filter = await mountSchedule('2025-03-15T09:45:00');
+      filter.setLive(true);
+      choose('track', 'robotics');
+
+      expect(badges()).toEqual(['robots: Now']);
+      expect(document.querySelector('#session-keynote').classList.contains('schedule-item--now')).toBe(false);
+      expect(document.querySelector('.schedule-filters__status').textContent).toBe(
+        'Showing 1 of 4 sessions · Happening now: Robots at Home (Hall B)'
+      );
+    });
+
+    it('says when the expo is over', async () => {
+      const filter = await mountSchedule('2025-03-18T10:00:00');
+      filter.setLive(true);
+
+      expect(badges()).toEqual([]);
+      expect(document.querySelector('.schedule-filters__status').textContent).toContain('The expo has wrapped up');
+    });
+
+    it('updates on the next minute boundary of the injected clock', async () => {
+      const filter = await mountSchedule('2025-03-15T09:59:30');
+      vi.useFakeTimers();
+      filter.setLive(true);
+      expect(badges()).toContain('keynote: Now');
+
+      now = venueTime('2025-03-15T10:00:00');
+      vi.advanceTimersByTime(29999);
+      expect(badges()).toContain('keynote: Now');
+
+      vi.advanceTimersByTime(1);
+      expect(badges()).toEqual(['robots: Now', 'lunch: Up next']);
+    });
+
+    it('stops ticking when turned off or destroyed', async () => {
+      const filter = await mountSchedule('2025-03-15T09:45:00');
+      vi.useFakeTimers();
+      filter.setLive(true);
+      filter.setLive(false);
+
+      expect(badges()).toEqual([]);
+      expect(vi.getTimerCount()).toBe(0);
+
+      filter.setLive(true);
+      filter.destroy();
+      expect(vi.getTimerCount()).toBe(0);
+    });
+  });
+});
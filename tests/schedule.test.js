@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Schedule } from '../assets/js/schedule.js';
+import { createAgenda } from './fixtures/agenda.js';
+
+describe('Schedule.validate', () => {
+  it('accepts a complete agenda', () => {
+    expect(Schedule.validate(createAgenda())).toEqual([]);
+  });
+
+  it.each([
+    ['missing', undefined],
+    ['not a zone', 'Mars/Olympus_Mons'],
+    ['empty', '']
+  ])('rejects a time zone that is %s', (_, timezone) => {
+    const agenda = { ...createAgenda(), timezone };
+    expect(Schedule.validate(agenda)).toEqual([expect.stringContaining('IANA time zone')]);
+  });
+
+  it('reports sessions that end before they start and unknown references', () => {
+    const agenda = createAgenda();
+    Object.assign(agenda.days[0].sessions[0], { end: '08:00', track: 'quantum', speakers: ['nobody'] });
+
+    expect(Schedule.validate(agenda)).toEqual([
+      'days[0].sessions[0] ends before it starts',
+      'days[0].sessions[0].track "quantum" is not a known track',
+      'days[0].sessions[0] refers to unknown speaker "nobody"'
+    ]);
+  });
+});
+
+describe('Schedule', () => {
+  const mountSchedule = async (agenda = createAgenda()) => {
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(agenda) })));
+    document.body.innerHTML = '<div data-schedule-src="/data/agenda.json"></div>';
+    const schedule = new Schedule(document.querySelector('[data-schedule-src]'));
+
+    schedule.mount();
+    await schedule.ready;
+    return schedule;
+  };
+
+  const star = id => document.querySelector(`#session-${id} .schedule-star`);
+
+  beforeEach(() => {
+    localStorage.clear();
+    Element.prototype.scrollIntoView = () => {};
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  it('shows the load error for an agenda without a usable time zone', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ ...createAgenda(), timezone: 'Venue/Local' })
+    })));
+    document.body.innerHTML = '<div data-schedule-src="/data/agenda.json"></div>';
+    const schedule = new Schedule(document.querySelector('[data-schedule-src]'));
+
+    schedule.mount();
+    await schedule.ready;
+
+    expect(document.querySelector('.schedule__error[role="alert"]')).not.toBeNull();
+    schedule.unmount();
+  });
+
+  describe('My Agenda', () => {
+    it('stars sessions from the day tabs and keeps them across page loads', async () => {
+      let schedule = await mountSchedule();
+      star('keynote').click();
+
+      expect(star('keynote').getAttribute('aria-pressed')).toBe('true');
+      expect(document.querySelector('.schedule__agenda-count').textContent).toBe('(1)');
+      expect(JSON.parse(localStorage.getItem('fge-agenda'))).toEqual(['keynote']);
+
+      schedule.unmount();
+      schedule = await mountSchedule();
+
+      expect(star('keynote').getAttribute('aria-pressed')).toBe('true');
+      expect(document.querySelectorAll('#my-agenda .schedule-item')).toHaveLength(1);
+      schedule.unmount();
+    });
+
+    it('flags starred sessions that overlap', async () => {
+      localStorage.setItem('fge-agenda', JSON.stringify(['keynote', 'robots', 'lunch']));
+      const schedule = await mountSchedule();
+      const item = id => document.querySelector(`#my-agenda .schedule-item[data-session-id="${id}"]`);
+
+      expect(item('keynote').classList.contains('schedule-item--conflict')).toBe(true);
+      expect(item('keynote').querySelector('.schedule-conflict').textContent).toBe('⚠ Overlaps with "Robots at Home"');
+      expect(item('robots').classList.contains('schedule-item--conflict')).toBe(true);
+      expect(item('lunch').classList.contains('schedule-item--conflict')).toBe(false);
+
+      // Unstarring one side of the overlap clears the warning on the other
+      document.querySelector('#my-agenda .schedule-item[data-session-id="robots"] .schedule-star').click();
+      expect(item('keynote').classList.contains('schedule-item--conflict')).toBe(false);
+      schedule.unmount();
+    });
+
+    it('follows stars changed in another tab', async () => {
+      const schedule = await mountSchedule();
+      localStorage.setItem('fge-agenda', JSON.stringify(['lunch']));
+      window.dispatchEvent(new StorageEvent('storage', { key: 'fge-agenda' }));
+
+      expect(star('lunch')).toBeNull();
+      expect(document.querySelector('#my-agenda .schedule-item[data-session-id="lunch"]')).not.toBeNull();
+      schedule.unmount();
+    });
+
+    it('downloads the starred sessions as an .ics file', async () => {
+      localStorage.setItem('fge-agenda', JSON.stringify(['ethics']));
+      const schedule = await mountSchedule();
+      let blob = null;
+      URL.createObjectURL = vi.fn(value => {
+        blob = value;
+        return 'blob:agenda';
+      });
+      URL.revokeObjectURL = vi.fn();
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      document.querySelector('[data-agenda-export]').click();
+
+      expect(click).toHaveBeenCalledTimes(1);
+      expect(blob.type).toBe('text/calendar;charset=utf-8');
+      // jsdom's Blob has no text()
+      const ics = await new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+      });
+      expect(ics).toContain('UID:ethics@futuregadgetexpo.com');
+      expect(ics).toContain('DTSTART:20250316T170000Z');
+      schedule.unmount();
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    });
+
+    it('disables the download while nothing is starred', async () => {
+      const schedule = await mountSchedule();
+      expect(document.querySelector('[data-agenda-export]').disabled).toBe(true);
+      schedule.unmount();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SearchLauncher } from '../assets/js/search-launcher.js';
+import { MainApp } from '../assets/js/main.js';
+
+describe('SearchLauncher', () => {
+  let app;
+  let launcher;
+
+  const key = (target, name, options = {}) => {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options }));
+  };
+
+  const searchOpened = () => vi.waitFor(() => expect(launcher.search?.isOpen).toBe(true));
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <header class="header">
+        <div class="header__container">
+          <a class="header__logo" href="index.html">FGE 2025</a>
+          <button class="nav-toggle" aria-expanded="false" aria-controls="mobile-nav"></button>
+        </div>
+        <nav class="nav nav--mobile" id="mobile-nav" data-component="nav-drawer">
+          <a class="nav__link" href="#about">About</a>
+        </nav>
+      </header>
+      <main><input id="newsletter" type="email"></main>
+    `;
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve([]) })));
+    app = new MainApp();
+    launcher = new SearchLauncher({ app });
+  });
+
+  afterEach(() => {
+    launcher.destroy();
+    app.destroy();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  it('adds a search button to the header without loading the overlay', () => {
+    expect(launcher.button.nextElementSibling.classList.contains('nav-toggle')).toBe(true);
+    expect(launcher.button.getAttribute('aria-keyshortcuts')).toContain('Control+K');
+    expect(launcher.loading).toBeNull();
+    expect(document.getElementById('site-search')).toBeNull();
+  });
+
+  it('loads the overlay from the button on first use and reuses it', async () => {
+    launcher.button.click();
+    await searchOpened();
+    const { search } = launcher;
+    search.close();
+
+    expect(document.activeElement).toBe(launcher.button);
+
+    await launcher.open();
+    expect(launcher.search).toBe(search);
+    expect(document.querySelectorAll('#site-search')).toHaveLength(1);
+  });
+
+  it('opens on "/" and Ctrl+K, but not on "/" typed into a field', async () => {
+    key(document.getElementById('newsletter'), '/');
+    expect(launcher.loading).toBeNull();
+
+    key(document.body, '/');
+    await searchOpened();
+
+    launcher.search.close();
+    key(document.getElementById('newsletter'), 'k', { ctrlKey: true });
+    await searchOpened();
+  });
+
+  it('closes the nav drawer before opening over it', async () => {
+    const toggle = document.querySelector('.nav-toggle');
+    toggle.click();
+    key(document.activeElement, '/');
+    await searchOpened();
+
+    expect(document.querySelector('.nav--mobile').classList.contains('nav--open')).toBe(false);
+    expect(document.getElementById('site-search').closest('[inert]')).toBeNull();
+    expect(document.activeElement).toBe(launcher.search.input);
+
+    launcher.search.close();
+    expect(document.activeElement).toBe(toggle);
+  });
+});
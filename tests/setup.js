@@ -0,0 +1,2 @@
+// jsdom has no CSS namespace; the tabs and schedule look elements up with CSS.escape
+globalThis.CSS ??= { escape: value => String(value).replace(/[^\w-]/g, '\\$&') };
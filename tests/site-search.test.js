@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { pathToFileURL } from 'node:url';
+import { SiteSearch } from '../assets/js/site-search.js';
+import { ModalManager } from '../assets/js/modal-manager.js';
+import { buildSearchIndex } from '../build/search-index.js';
+
+const entries = [
+  { type: 'page', title: 'Conference Schedule', subtitle: 'Schedule', url: 'schedule.html' },
+  { type: 'speaker', title: 'Dr. Sarah Chen', subtitle: 'Chief AI Officer, TechCorp', text: 'The Future of Neural Interfaces', url: 'speakers.html#speaker-1' },
+  { type: 'speaker', title: 'Marcus Johnson', subtitle: 'CEO, GreenTech Solutions', text: 'Sustainable Gadgets', url: 'speakers.html#speaker-2' },
+  { type: 'session', title: 'Neural Networks in Wearables', subtitle: 'Day 1 · 10:00–11:00 · Hall A', text: 'Dr. Sarah Chen, AI', url: 'schedule.html#session-neural' }
+];
+
+describe('SiteSearch', () => {
+  describe('ranking', () => {
+    const titles = query => SiteSearch.rank(entries, query).map(result => result.entry.title);
+
+    it('puts title matches ahead of matches in other fields', () => {
+      expect(titles('neural')).toEqual(['Neural Networks in Wearables', 'Dr. Sarah Chen']);
+    });
+
+    it('requires every word of the query to match', () => {
+      expect(titles('sarah neural')).toEqual(['Dr. Sarah Chen', 'Neural Networks in Wearables']);
+      expect(titles('sarah gadgets')).toEqual([]);
+    });
+
+    it('forgives a typo and finds abbreviations', () => {
+      expect(titles('sustianable')).toEqual(['Marcus Johnson']);
+      expect(titles('mrcs')).toEqual(['Marcus Johnson']);
+    });
+
+    it('does not match characters scattered across a field', () => {
+      expect(titles('drsn')).toEqual([]);
+    });
+
+    it('returns nothing for an empty query', () => {
+      expect(SiteSearch.rank(entries, '   ')).toEqual([]);
+    });
+
+    it('records which characters matched', () => {
+      const [result] = SiteSearch.rank(entries, 'chen');
+      expect(result.highlights.title).toEqual([10, 11, 12, 13]);
+    });
+  });
+
+  it('highlights matches without parsing the text as HTML', () => {
+    const container = document.createElement('span');
+    container.appendChild(SiteSearch.highlight('<b>Chen</b>', [3, 4]));
+
+    expect(container.innerHTML).toBe('&lt;b&gt;<mark>Ch</mark>en&lt;/b&gt;');
+  });
+
+  describe('overlay', () => {
+    let search;
+    let input;
+
+    const key = (target, name, options = {}) => {
+      target.dispatchEvent(new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options }));
+    };
+
+    const type = async value => {
+      await search.open();
+      input.value = value;
+      input.dispatchEvent(new Event('input'));
+    };
+
+    const options = () => Array.from(document.querySelectorAll('.search__result'));
+
+    beforeEach(() => {
+      document.body.innerHTML = '<main><button id="trigger">Search</button></main>';
+      vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(entries) })));
+      search = new SiteSearch({ src: '/search-index.json' });
+      input = search.input;
+    });
+
+    afterEach(() => {
+      search.destroy();
+      ModalManager.shared.destroy();
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+      document.body.innerHTML = '';
+    });
+
+    it('focuses the input, loads the index once and returns focus on close', async () => {
+      const trigger = document.getElementById('trigger');
+      await search.open({ trigger });
+      search.close();
+      expect(document.activeElement).toBe(trigger);
+
+      await search.open();
+      expect(search.isOpen).toBe(true);
+      expect(document.activeElement).toBe(input);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('lists ranked results with highlights and a count', async () => {
+      await type('neural');
+
+      expect(options().map(option => option.querySelector('.search__title').textContent))
+        .toEqual(['Neural Networks in Wearables', 'Dr. Sarah Chen']);
+      expect(options()[0].querySelector('mark').textContent).toBe('Neural');
+      expect(options()[0].querySelector('.search__type').textContent).toBe('Session');
+      expect(input.getAttribute('aria-expanded')).toBe('true');
+      expect(search.status.textContent).toBe('2 results');
+    });
+
+    it('says so when nothing matches', async () => {
+      await type('quantum');
+
+      expect(options()).toHaveLength(0);
+      expect(input.getAttribute('aria-expanded')).toBe('false');
+      expect(search.status.textContent).toBe('No results for “quantum”.');
+    });
+
+    it('moves the active option with the arrow keys', async () => {
+      await type('neural');
+      expect(input.getAttribute('aria-activedescendant')).toBe(options()[0].id);
+
+      key(input, 'ArrowDown');
+      expect(options()[1].getAttribute('aria-selected')).toBe('true');
+      expect(input.getAttribute('aria-activedescendant')).toBe(options()[1].id);
+
+      key(input, 'ArrowDown');
+      expect(options()[0].getAttribute('aria-selected')).toBe('true');
+
+      key(input, 'ArrowUp');
+      expect(options()[1].getAttribute('aria-selected')).toBe('true');
+    });
+
+    it('closes and goes to the result picked with Enter', async () => {
+      const assign = vi.fn();
+      vi.stubGlobal('location', { ...window.location, href: 'http://localhost:3000/index.html', assign });
+
+      await type('marcus');
+      key(input, 'Enter');
+
+      expect(search.isOpen).toBe(false);
+      expect(assign).toHaveBeenCalledWith('http://localhost:3000/speakers.html#speaker-2');
+    });
+
+    it('goes to the result that is clicked', async () => {
+      const assign = vi.fn();
+      vi.stubGlobal('location', { ...window.location, href: 'http://localhost:3000/schedule.html', assign });
+
+      await type('neural');
+      options()[0].querySelector('.search__title').click();
+
+      expect(assign).toHaveBeenCalledWith('http://localhost:3000/schedule.html#session-neural');
+    });
+
+    it('reports an index that fails to load and retries on the next open', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      fetch.mockResolvedValueOnce({ ok: false, status: 500 });
+
+      await search.open();
+      expect(search.status.textContent).toContain('unavailable');
+
+      search.close();
+      await type('chen');
+      expect(options()).toHaveLength(2);
+    });
+  });
+
+  describe('build-time index', () => {
+    const index = buildSearchIndex({
+      root: pathToFileURL(`${process.cwd()}/`),
+      pages: ['index', 'speakers', 'schedule'],
+      agenda: 'public/data/agenda.json'
+    });
+
+    it('indexes the speaker modals with their talks', () => {
+      const speaker = index.find(entry => entry.url === 'speakers.html#speaker-sarah');
+
+      expect(speaker.type).toBe('speaker');
+      expect(speaker.title).toBeTruthy();
+      expect(speaker.text).not.toMatch(/^Talk:/);
+    });
+
+    it('indexes every agenda session with a deep link', () => {
+      const sessions = index.filter(entry => entry.type === 'session');
+
+      expect(sessions.length).toBeGreaterThan(0);
+      sessions.forEach(session => expect(session.url).toMatch(/^schedule\.html#session-.+/));
+    });
+
+    it('names page headings after the page they are on', () => {
+      const headings = index.filter(entry => entry.type === 'page');
+
+      expect(headings.some(entry => entry.subtitle === 'Home')).toBe(true);
+      expect(headings.some(entry => entry.title === 'Dr. Sarah Chen')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SubmissionQueue } from '../assets/js/submission-queue.js';
+
+describe('SubmissionQueue', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const stored = () => JSON.parse(localStorage.getItem('fge-submission-queue'));
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-03-01T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('queues each id once and counts entries per form', () => {
+    const queue = new SubmissionQueue();
+
+    expect(queue.add({ id: 'contact-1', formId: 'contact-form' })).toBe(true);
+    expect(queue.add({ id: 'contact-1', formId: 'contact-form' })).toBe(false);
+    expect(queue.add({ id: 'register-1', formId: 'registration-form' })).toBe(true);
+
+    expect(queue.count('contact-form')).toBe(1);
+    expect(stored().map(entry => entry.queuedAt)).toEqual(['2025-03-01T12:00:00.000Z', '2025-03-01T12:00:00.000Z']);
+  });
+
+  it('removes the storage key along with the last entry', () => {
+    const queue = new SubmissionQueue();
+    queue.add({ id: 'contact-1', formId: 'contact-form' });
+    queue.remove('contact-1');
+
+    expect(localStorage.getItem('fge-submission-queue')).toBeNull();
+  });
+
+  it('skips expired entries and prunes them from storage', () => {
+    const queue = new SubmissionQueue();
+    queue.add({ id: 'old', formId: 'contact-form' });
+    vi.setSystemTime(Date.now() + 2 * day);
+    queue.add({ id: 'recent', formId: 'contact-form' });
+    vi.setSystemTime(Date.now() + 1.5 * day);
+
+    expect(queue.entries().map(entry => entry.id)).toEqual(['recent']);
+    expect(stored()).toHaveLength(2);
+
+    queue.prune();
+    expect(stored().map(entry => entry.id)).toEqual(['recent']);
+  });
+
+  it('treats entries without a timestamp as expired', () => {
+    localStorage.setItem('fge-submission-queue', JSON.stringify([{ id: 'legacy', formId: 'contact-form' }]));
+    const queue = new SubmissionQueue();
+
+    expect(queue.entries()).toEqual([]);
+    queue.prune();
+    expect(localStorage.getItem('fge-submission-queue')).toBeNull();
+  });
+
+  it('lets an expired duplicate be queued again', () => {
+    const queue = new SubmissionQueue('fge-submission-queue', { maxAge: day });
+    queue.add({ id: 'contact-1', formId: 'contact-form' });
+    vi.setSystemTime(Date.now() + day);
+
+    expect(queue.add({ id: 'contact-1', formId: 'contact-form' })).toBe(true);
+    expect(stored()).toHaveLength(1);
+  });
+
+  it('derives the same idempotency key from the same payload only', () => {
+    const key = SubmissionQueue.createKey('contact-form', [['name', 'Ada']]);
+
+    expect(key).toMatch(/^contact-form-[0-9a-f]{8}$/);
+    expect(SubmissionQueue.createKey('contact-form', [['name', 'Ada']])).toBe(key);
+    expect(SubmissionQueue.createKey('contact-form', [['name', 'Grace']])).not.toBe(key);
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ThemeToggle } from '../assets/js/theme-toggle.js';
+
+// A MediaQueryList whose `matches` the test can flip, notifying listeners like a browser would
+const createMediaQuery = (matches = false) => {
+  const listeners = new Set();
+  return {
+    matches,
+    addEventListener(type, listener, { signal } = {}) {
+      listeners.add(listener);
+      signal?.addEventListener('abort', () => listeners.delete(listener));
+    },
+    removeEventListener(type, listener) {
+      listeners.delete(listener);
+    },
+    change(matches) {
+      this.matches = matches;
+      listeners.forEach(listener => listener({ matches }));
+    }
+  };
+};
+
+describe('ThemeToggle', () => {
+  const html = document.documentElement;
+  let queries;
+  let toggle;
+
+  const create = () => {
+    toggle = new ThemeToggle();
+    return toggle;
+  };
+
+  beforeEach(() => {
+    queries = {
+      '(prefers-color-scheme: dark)': createMediaQuery(false),
+      '(prefers-contrast: more)': createMediaQuery(false)
+    };
+    window.matchMedia = vi.fn(query => queries[query]);
+
+    localStorage.clear();
+    html.className = '';
+    html.removeAttribute('style');
+    document.body.innerHTML = '<header class="header"><div class="header__container"></div></header>';
+  });
+
+  afterEach(() => {
+    toggle?.destroy();
+    toggle = null;
+    ThemeToggle.customThemes.clear();
+  });
+
+  describe('system preference', () => {
+    it('follows the OS light preference by default without storing anything', () => {
+      create();
+
+      expect(toggle.preference).toBe('system');
+      expect(html.classList.contains('theme--light')).toBe(true);
+      expect(localStorage.getItem('theme')).toBeNull();
+      expect(toggle.toggleButton.getAttribute('aria-label')).toBe('Theme: System (light)');
+    });
+
+    it('switches when the OS color scheme changes', () => {
+      create();
+      const onChange = vi.fn();
+      html.addEventListener('themechange', onChange);
+
+      queries['(prefers-color-scheme: dark)'].change(true);
+
+      expect(html.classList.contains('theme--dark')).toBe(true);
+      expect(html.classList.contains('theme--light')).toBe(false);
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange.mock.calls[0][0].detail).toMatchObject({ theme: 'dark', preference: 'system', previousTheme: 'light' });
+
+      html.removeEventListener('themechange', onChange);
+    });
+
+    it('uses the high contrast theme when the OS asks for more contrast', () => {
+      queries['(prefers-contrast: more)'].matches = true;
+      create();
+
+      expect(toggle.currentTheme).toBe('contrast');
+      expect(html.classList.contains('theme--contrast')).toBe(true);
+      expect(html.classList.contains('theme--dark')).toBe(true);
+    });
+  });
+
+  describe('persistence', () => {
+    it('stores an explicit choice and restores it on the next page load', () => {
+      create().setTheme('dark');
+      expect(localStorage.getItem('theme')).toBe('dark');
+
+      toggle.destroy();
+      html.className = '';
+      create();
+
+      expect(toggle.preference).toBe('dark');
+      expect(html.classList.contains('theme--dark')).toBe(true);
+    });
+
+    it('ignores OS changes while an explicit theme is chosen', () => {
+      create().setTheme('light');
+      queries['(prefers-color-scheme: dark)'].change(true);
+
+      expect(html.classList.contains('theme--light')).toBe(true);
+    });
+
+    it('clears the stored choice when going back to System', () => {
+      create().setTheme('dark');
+      toggle.setTheme('system');
+
+      expect(localStorage.getItem('theme')).toBeNull();
+
+      queries['(prefers-color-scheme: dark)'].change(true);
+      expect(html.classList.contains('theme--dark')).toBe(true);
+      queries['(prefers-color-scheme: dark)'].change(false);
+      expect(html.classList.contains('theme--light')).toBe(true);
+    });
+
+    it('applies a theme chosen in another tab', () => {
+      create();
+      localStorage.setItem('theme', 'contrast');
+      window.dispatchEvent(new StorageEvent('storage', { key: 'theme', newValue: 'contrast' }));
+
+      expect(toggle.preference).toBe('contrast');
+      expect(html.classList.contains('theme--contrast')).toBe(true);
+    });
+
+    it('still works when storage is blocked', () => {
+      vi.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+        throw new DOMException('The operation is insecure.', 'SecurityError');
+      });
+
+      expect(() => create()).not.toThrow();
+      expect(toggle.preference).toBe('system');
+
+      toggle.setTheme('dark');
+      expect(html.classList.contains('theme--dark')).toBe(true);
+
+      ThemeToggle.registerTheme('kiosk', { '--color-primary': '#0f766e' }, { label: 'Kiosk', base: 'dark' });
+      expect(() => toggle.setTheme('kiosk')).not.toThrow();
+      expect(html.style.getPropertyValue('--color-primary')).toBe('#0f766e');
+    });
+
+    it('flips between light and dark with Ctrl+Shift+D', () => {
+      create();
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'D', ctrlKey: true, shiftKey: true }));
+
+      expect(localStorage.getItem('theme')).toBe('dark');
+    });
+  });
+
+  describe('theme menu', () => {
+    it('opens from the button and marks the active option', () => {
+      create();
+      toggle.toggleButton.click();
+
+      expect(toggle.menu.hidden).toBe(false);
+      expect(toggle.toggleButton.getAttribute('aria-expanded')).toBe('true');
+      expect(toggle.menu.querySelector('[aria-checked="true"]').getAttribute('data-theme-option')).toBe('system');
+    });
+
+    it('applies and stores the picked option, then closes', () => {
+      create();
+      toggle.toggleButton.click();
+      toggle.menu.querySelector('[data-theme-option="dark"]').click();
+
+      expect(localStorage.getItem('theme')).toBe('dark');
+      expect(toggle.menu.hidden).toBe(true);
+      expect(document.activeElement).toBe(toggle.toggleButton);
+    });
+  });
+
+  describe('registerTheme', () => {
+    it('adds a menu option that applies its custom properties', () => {
+      create();
+      ThemeToggle.registerTheme('sponsor', { '--color-primary': '#e11d48' }, { label: 'Sponsor', base: 'dark' });
+      toggle.setTheme('sponsor');
+
+      expect(toggle.menu.querySelector('[data-theme-option="sponsor"]')).not.toBeNull();
+      expect(html.style.getPropertyValue('--color-primary')).toBe('#e11d48');
+      expect(html.classList.contains('theme--dark')).toBe(true);
+      expect(JSON.parse(localStorage.getItem('theme-custom'))).toMatchObject({ name: 'sponsor', base: 'dark' });
+
+      toggle.setTheme('light');
+      expect(html.style.getPropertyValue('--color-primary')).toBe('');
+    });
+
+    it('rejects invalid names, built-in names and non-custom properties', () => {
+      expect(() => ThemeToggle.registerTheme('Bad Name', {})).toThrow(/Invalid theme name/);
+      expect(() => ThemeToggle.registerTheme('dark', {})).toThrow(/built in/);
+      expect(() => ThemeToggle.registerTheme('sponsor', { color: 'red' })).toThrow(/custom properties/);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { TicketSelector } from '../assets/js/ticket-selector.js';
+import { FormValidator } from '../assets/js/form-validation.js';
+import '../assets/js/form-messages.js';
+
+describe('TicketSelector', () => {
+  const create = ({ locale = 'en', validate = true } = {}) => {
+    document.body.innerHTML = `
+      <script type="application/json" data-ticket-config>
+        { "currency": "USD", "locale": "en-US", "promoCodes": {
+          "SAVE10": { "type": "percent", "value": 10 },
+          "GROUP5": { "type": "percent", "value": 20, "minQuantity": 5 }
+        } }
+      </script>
+      <div data-ticket-tier="standard" data-ticket-name="Standard Pass" data-price="299">
+        <div data-ticket-price></div>
+        <button type="button" data-ticket-select>Select</button>
+      </div>
+      <form ${validate ? 'data-validate' : ''} data-ticket-form id="registration-form">
+        <div data-ticket-summary hidden>
+          <strong data-ticket-name></strong>
+          <div data-ticket-total></div>
+          <input type="number" name="ticketQuantity" min="1" max="20" value="1">
+          <input type="text" data-promo-entry>
+          <button type="button" data-promo-apply>Apply</button>
+          <p data-promo-status></p>
+          <ul data-ticket-breakdown></ul>
+          <input type="hidden" name="ticketTier">
+          <input type="hidden" name="promoCode">
+          <input type="hidden" name="ticketTotal">
+        </div>
+        <button type="submit" disabled>Complete Registration</button>
+      </form>
+    `;
+    const validator = validate ? new FormValidator({ locale }) : null;
+    const selector = new TicketSelector(document, { validator });
+    selector.selectTier('standard', { scroll: false });
+    return { selector, validator };
+  };
+
+  const text = selector => document.querySelector(selector).textContent;
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('labels the submit button and promo status from the catalog', () => {
+    const { selector } = create();
+    selector.applyPromo('nope');
+
+    expect(text('button[type="submit"]')).toBe('Complete Registration - $299');
+    expect(text('[data-promo-status]')).toBe('nope is not a valid code');
+  });
+
+  it('uses the form locale and leaves no stale English label behind', () => {
+    const { selector } = create({ locale: 'es' });
+    selector.applyPromo('save10');
+
+    expect(text('button[type="submit"]')).toBe('Completar registro - $269.10');
+    expect(text('[data-promo-status]')).toBe('SAVE10 aplicado');
+    expect(document.querySelector('button[type="submit"]').hasAttribute('data-original-text')).toBe(false);
+  });
+
+  it('renders its copy again when the validator switches locale', () => {
+    const { selector, validator } = create();
+    selector.applyPromo('nope');
+    validator.setLocale('de');
+
+    expect(text('button[type="submit"]')).toBe('Registrierung abschließen - $299');
+    expect(text('[data-promo-status]')).toBe('nope ist kein gültiger Code');
+    expect(text('[data-ticket-breakdown] span')).toBe('1 × $299');
+  });
+
+  it('drops a minimum-quantity code when the quantity falls below it', () => {
+    const { selector } = create();
+    const quantity = document.querySelector('[name="ticketQuantity"]');
+    const setQuantity = value => {
+      quantity.value = value;
+      quantity.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    setQuantity('5');
+    selector.applyPromo('group5');
+    expect(document.querySelector('[name="promoCode"]').value).toBe('GROUP5');
+
+    setQuantity('1');
+    expect(selector.appliedPromo).toBeNull();
+    expect(document.querySelector('[name="promoCode"]').value).toBe('');
+    expect(text('[data-promo-status]')).toBe("GROUP5 can't be used with this selection");
+    expect(text('button[type="submit"]')).toBe('Complete Registration - $299');
+  });
+
+  it('falls back to English without a validator', () => {
+    create({ validate: false });
+    expect(text('button[type="submit"]')).toBe('Complete Registration - $299');
+  });
+});
@@ -0,0 +1,29 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vite';
+import mockApi from './mock/api.js';
+import precacheManifest from './build/precache-manifest.js';
+import searchIndex from './build/search-index.js';
+
+const pages = ['index', 'about', 'speakers', 'schedule', 'gallery', 'contact', 'register', 'offline'];
+
+export default defineConfig({
+  plugins: [
+    mockApi(),
+    // The offline fallback page has nothing worth finding
+    searchIndex({ pages: pages.filter(page => page !== 'offline') }),
+    precacheManifest()
+  ],
+  build: {
+    rollupOptions: {
+      input: Object.fromEntries(
+        pages.map(page => [page, fileURLToPath(new URL(`./${page}.html`, import.meta.url))])
+      )
+    }
+  },
+  test: {
+    environment: 'jsdom',
+    include: ['tests/**/*.test.js'],
+    setupFiles: ['tests/setup.js'],
+    restoreMocks: true
+  }
+});